@@ -2,5 +2,37 @@ module.exports = {
   JWT_SECRET: process.env.JWT_SECRET || 'your-default-jwt-secret',
   JWT_EXPIRATION: '24h',
   INVITE_TOKEN_EXPIRY: 48 * 60 * 60 * 1000, // 48 hours in milliseconds
-  EXCHANGE_RATE_API_URL: 'https://api.exchangerate-api.com/v4/latest/'
+  EXCHANGE_RATE_API_URL: 'https://api.exchangerate-api.com/v4/latest/',
+  EXCHANGE_RATE_PROVIDERS: process.env.EXCHANGE_RATE_PROVIDERS || 'manual,http,file', // tried in order
+  EXCHANGE_RATE_FILE: process.env.EXCHANGE_RATE_FILE, // JSON file for the 'file' provider
+  RECURRING_EXPENSE_CHECK_INTERVAL: 15 * 60 * 1000, // 15 minutes in milliseconds
+  ATTACHMENT_STORAGE: process.env.ATTACHMENT_STORAGE || 'local',
+  ATTACHMENT_STORAGE_DIR: process.env.ATTACHMENT_STORAGE_DIR || 'uploads',
+  ATTACHMENT_MAX_SIZE: 10 * 1024 * 1024, // 10 MB in bytes
+  ATTACHMENT_ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'],
+  IMPORT_MAX_SIZE: 5 * 1024 * 1024, // 5 MB in bytes
+  IMPORT_MAX_ROWS: 5000, // expense rows per CSV import
+  IMPORT_ALLOWED_TYPES: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'],
+  // Categories every group starts with
+  DEFAULT_CATEGORIES: [
+    { name: 'General', icon: 'receipt', color: '#9E9E9E' },
+    { name: 'Food', icon: 'restaurant', color: '#FF7043' },
+    { name: 'Groceries', icon: 'shopping_cart', color: '#66BB6A' },
+    { name: 'Transport', icon: 'directions_car', color: '#42A5F5' },
+    { name: 'Housing', icon: 'home', color: '#8D6E63' },
+    { name: 'Utilities', icon: 'bolt', color: '#FFCA28' },
+    { name: 'Entertainment', icon: 'movie', color: '#AB47BC' },
+    { name: 'Travel', icon: 'flight', color: '#26C6DA' },
+    { name: 'Shopping', icon: 'shopping_bag', color: '#EC407A' },
+    { name: 'Health', icon: 'medical_services', color: '#EF5350' }
+  ],
+  BUDGET_ALERT_THRESHOLDS: [80, 100], // percent of a category's monthly budget
+  EXPENSE_TRASH_RETENTION_DAYS: parseInt(process.env.EXPENSE_TRASH_RETENTION_DAYS, 10) || 30,
+  EXPENSE_TRASH_PURGE_INTERVAL: 6 * 60 * 60 * 1000, // 6 hours in milliseconds
+  STATEMENT_CHECK_INTERVAL: 6 * 60 * 60 * 1000, // 6 hours; each month's statements are sent once
+  REMINDER_CHECK_INTERVAL: 60 * 60 * 1000, // 1 hour in milliseconds
+  REMINDER_INTERVALS_DAYS: [3, 7, 14], // days to wait after the 1st, 2nd and 3rd or later automatic reminder
+  REMINDER_MAX_AUTOMATIC: 5, // automatic reminders per unpaid share
+  REMINDER_MANUAL_COOLDOWN: 24 * 60 * 60 * 1000, // 24 hours between nudges for the same share
+  OPTIMAL_SIMPLIFICATION_MAX_MEMBERS: 15 // larger groups fall back to greedy debt simplification
 }; 
\ No newline at end of file
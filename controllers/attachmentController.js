@@ -0,0 +1,148 @@
+const { isExpensePayer } = require('../utils/expenseCalculator');
+const { findExpenseForMember } = require('../utils/expenseService');
+const {
+  getStorage,
+  generateAttachmentKey,
+  removeAttachmentFiles
+} = require('../utils/attachmentStorage');
+
+// @desc    Upload a receipt attachment to an expense
+// @route   POST /api/expenses/:id/attachments
+// @access  Private
+const uploadAttachment = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please attach a file in the "file" field' });
+    }
+
+    const { expense } = await findExpenseForMember(req, res);
+    if (!expense) return;
+
+    const storageKey = generateAttachmentKey(expense._id.toString(), req.file.originalname);
+    await getStorage().save(storageKey, req.file.buffer, req.file.mimetype);
+
+    expense.attachments.push({
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      storageKey,
+      uploadedBy: req.user._id
+    });
+
+    try {
+      await expense.save();
+    } catch (saveError) {
+      // Don't leave an orphaned file behind
+      await removeAttachmentFiles([{ storageKey }]);
+      throw saveError;
+    }
+
+    res.status(201).json(expense.attachments[expense.attachments.length - 1]);
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    List the attachments of an expense
+// @route   GET /api/expenses/:id/attachments
+// @access  Private
+const getAttachments = async (req, res) => {
+  try {
+    const { expense } = await findExpenseForMember(req, res);
+    if (!expense) return;
+
+    await expense.populate('attachments.uploadedBy', 'name email');
+
+    res.json(expense.attachments);
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Download an attachment
+// @route   GET /api/expenses/:id/attachments/:attachmentId
+// @access  Private
+const downloadAttachment = async (req, res) => {
+  try {
+    const { expense } = await findExpenseForMember(req, res);
+    if (!expense) return;
+
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const stream = getStorage().createReadStream(attachment.storageKey);
+
+    stream.on('error', (streamError) => {
+      console.error('Download attachment error:', streamError);
+      if (!res.headersSent) {
+        res.status(404).json({ message: 'Attachment file not found' });
+      } else {
+        res.end();
+      }
+    });
+
+    // The type is whatever the uploader declared, so only show photos and PDFs in the
+    // browser; anything else (HTML, SVG) could run scripts on the API origin
+    const { mimeType } = attachment;
+    const inline = (mimeType.startsWith('image/') && mimeType !== 'image/svg+xml') ||
+      mimeType === 'application/pdf';
+
+    stream.once('open', () => {
+      res.setHeader('Content-Type', mimeType);
+      res.setHeader('Content-Length', attachment.size);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader(
+        'Content-Disposition',
+        `${inline ? 'inline' : 'attachment'}; filename="${encodeURIComponent(attachment.originalName)}"`
+      );
+      stream.pipe(res);
+    });
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete an attachment
+// @route   DELETE /api/expenses/:id/attachments/:attachmentId
+// @access  Private
+const deleteAttachment = async (req, res) => {
+  try {
+    const { expense, group } = await findExpenseForMember(req, res);
+    if (!expense) return;
+
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    // The uploader, a payer of the expense or the group admin can delete it
+    const userId = req.user._id.toString();
+    if (attachment.uploadedBy.toString() !== userId &&
+        !isExpensePayer(expense, userId) &&
+        group.createdBy.toString() !== userId) {
+      return res.status(403).json({ message: 'Not authorized to delete this attachment' });
+    }
+
+    expense.attachments.pull(attachment._id);
+    await expense.save();
+
+    await removeAttachmentFiles([attachment]);
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  uploadAttachment,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment
+};
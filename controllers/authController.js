@@ -119,7 +119,7 @@ const getUserProfile = async (req, res) => {
 // @access  Private
 const updateUserProfile = async (req, res) => {
   try {
-    const { username, name, email, phone, password } = req.body;
+    const { username, name, email, phone, password, statementEmails } = req.body;
     
     // Find the user
     const user = await User.findById(req.user._id);
@@ -157,6 +157,14 @@ const updateUserProfile = async (req, res) => {
     }
     if (phone) user.phone = phone;
     
+    // Opt in to or out of the monthly statement emails
+    if (statementEmails !== undefined) {
+      if (typeof statementEmails !== 'boolean') {
+        return res.status(400).json({ message: 'statementEmails must be true or false' });
+      }
+      user.statementEmails = statementEmails;
+    }
+    
     // Update password if provided
     if (password) {
       const salt = await bcrypt.genSalt(10);
@@ -173,6 +181,7 @@ const updateUserProfile = async (req, res) => {
       name: updatedUser.name,
       email: updatedUser.email,
       phone: updatedUser.phone,
+      statementEmails: updatedUser.statementEmails,
       token: generateToken(updatedUser._id),
     });
   } catch (error) {
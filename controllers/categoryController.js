@@ -0,0 +1,253 @@
+const Category = require('../models/Category');
+const Group = require('../models/Group');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const {
+  toCategoryKey,
+  toMonth,
+  ensureDefaultCategories,
+  getBudgetStatus,
+  checkCategoryBudget
+} = require('../utils/categories');
+
+// The category expenses fall back to, so it always stays available
+const FALLBACK_CATEGORY = 'general';
+
+/**
+ * Check the name, color and budget fields of a create or update request.
+ * Returns an error message, or null when they are valid.
+ */
+const validateCategoryFields = ({ name, color, monthlyBudget }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'Category name cannot be empty';
+  }
+
+  if (color !== undefined && color !== null && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+    return 'Color must be a hex color like #FF7043';
+  }
+
+  if (monthlyBudget !== undefined && monthlyBudget !== null &&
+      (isNaN(monthlyBudget) || monthlyBudget < 0)) {
+    return 'Monthly budget must be a positive amount';
+  }
+
+  return null;
+};
+
+// @desc    Get the categories of a group
+// @route   GET /api/groups/:id/categories?includeArchived=true
+// @access  Private
+const getGroupCategories = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user is a member of the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to access this group' });
+    }
+
+    await ensureDefaultCategories(group._id);
+
+    const filter = { groupId: group._id };
+    if (req.query.includeArchived !== 'true') {
+      filter.archived = false;
+    }
+
+    const categories = await Category.find(filter)
+      .select('-budgetAlerts')
+      .sort({ isDefault: -1, name: 1 });
+
+    res.json(categories);
+  } catch (error) {
+    console.error('Get group categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Add a custom category to a group
+// @route   POST /api/groups/:id/categories
+// @access  Private
+const createCategory = async (req, res) => {
+  try {
+    const { name, icon, color, monthlyBudget } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: 'Category name is required' });
+    }
+
+    const validationMessage = validateCategoryFields(req.body);
+    if (validationMessage) {
+      return res.status(400).json({ message: validationMessage });
+    }
+
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user is a member of the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to add categories to this group' });
+    }
+
+    await ensureDefaultCategories(group._id);
+
+    const key = toCategoryKey(name);
+    const existing = await Category.findOne({ groupId: group._id, key });
+    if (existing) {
+      return res.status(400).json({
+        message: existing.archived
+          ? `Category "${existing.name}" already exists but is archived`
+          : `Category "${existing.name}" already exists`
+      });
+    }
+
+    const category = await Category.create({
+      groupId: group._id,
+      name: name.trim(),
+      key,
+      icon,
+      color,
+      monthlyBudget: monthlyBudget || undefined,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(category);
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update, archive or unarchive a category, or set its monthly budget
+// @route   PUT /api/groups/:id/categories/:categoryId
+// @access  Private
+const updateCategory = async (req, res) => {
+  try {
+    const { name, icon, color, monthlyBudget, archived } = req.body;
+
+    const validationMessage = validateCategoryFields(req.body);
+    if (validationMessage) {
+      return res.status(400).json({ message: validationMessage });
+    }
+
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const category = await Category.findOne({ _id: req.params.categoryId, groupId: group._id });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    // The group admin can change any category, members only the ones they created
+    const userId = req.user._id.toString();
+    const isCreator = category.createdBy && category.createdBy.toString() === userId;
+    if (group.createdBy.toString() !== userId && !(isCreator && group.members.includes(req.user._id))) {
+      return res.status(403).json({ message: 'Not authorized to update this category' });
+    }
+
+    const isFallback = category.key === FALLBACK_CATEGORY;
+    const previousKey = category.key;
+
+    if (name !== undefined && toCategoryKey(name) !== category.key) {
+      if (isFallback) {
+        return res.status(400).json({ message: 'The general category cannot be renamed' });
+      }
+
+      const newKey = toCategoryKey(name);
+      if (await Category.exists({ groupId: group._id, key: newKey })) {
+        return res.status(400).json({ message: `Category "${name.trim()}" already exists` });
+      }
+
+      category.key = newKey;
+    }
+    if (name !== undefined) {
+      category.name = name.trim();
+    }
+
+    if (icon !== undefined) category.icon = icon;
+    if (color !== undefined) category.color = color;
+
+    if (archived !== undefined && Boolean(archived) !== category.archived) {
+      if (archived && isFallback) {
+        return res.status(400).json({ message: 'The general category cannot be archived' });
+      }
+      category.archived = Boolean(archived);
+      category.archivedAt = archived ? new Date() : undefined;
+    }
+
+    let budgetChanged = false;
+    if (monthlyBudget !== undefined) {
+      const newBudget = monthlyBudget ? parseFloat(monthlyBudget) : undefined;
+      budgetChanged = newBudget !== category.monthlyBudget;
+      category.monthlyBudget = newBudget;
+    }
+
+    // A new budget starts this month's alerts over
+    if (budgetChanged) {
+      const month = toMonth();
+      category.budgetAlerts = category.budgetAlerts.filter(alert => alert.month !== month);
+    }
+
+    await category.save();
+
+    // Move the group's expenses and schedules over to the new name once it is saved,
+    // so a failed save doesn't leave them pointing at a key that doesn't exist
+    if (category.key !== previousKey) {
+      await Expense.updateMany({ groupId: group._id, category: previousKey }, { category: category.key });
+      await RecurringExpense.updateMany({ groupId: group._id, category: previousKey }, { category: category.key });
+    }
+
+    // Spending may already be over the new budget
+    if (budgetChanged && category.monthlyBudget) {
+      await checkCategoryBudget(group, category.key);
+    }
+
+    res.json(category);
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get spending against budget for a group's budgeted categories
+// @route   GET /api/groups/:id/budgets?month=YYYY-MM
+// @access  Private
+const getGroupBudgets = async (req, res) => {
+  try {
+    const { month } = req.query;
+
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ message: 'Month must be in YYYY-MM format' });
+    }
+
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user is a member of the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to access this group' });
+    }
+
+    const budgets = await getBudgetStatus(group, month);
+
+    res.json(budgets);
+  } catch (error) {
+    console.error('Get group budgets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getGroupCategories,
+  createCategory,
+  updateCategory,
+  getGroupBudgets
+};
@@ -0,0 +1,148 @@
+const Comment = require('../models/Comment');
+const { findExpenseForMember, notifyExpenseMembers } = require('../utils/expenseService');
+
+const COMMENT_MAX_LENGTH = 1000; // same as the Comment schema
+
+/**
+ * Check comment text from a request body, returning an error message or null
+ */
+const validateCommentText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return 'Comment text is required';
+  }
+  if (text.trim().length > COMMENT_MAX_LENGTH) {
+    return `Comments can be at most ${COMMENT_MAX_LENGTH} characters`;
+  }
+  return null;
+};
+
+// @desc    Get the comments on an expense
+// @route   GET /api/expenses/:id/comments
+// @access  Private
+const getExpenseComments = async (req, res) => {
+  try {
+    const { expense } = await findExpenseForMember(req, res);
+    if (!expense) return;
+
+    // Oldest first, like a conversation
+    const comments = await Comment.find({ expenseId: expense._id })
+      .sort({ createdAt: 1 });
+
+    res.json(comments);
+  } catch (error) {
+    console.error('Get expense comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Comment on an expense
+// @route   POST /api/expenses/:id/comments
+// @access  Private
+const createComment = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    const textError = validateCommentText(text);
+    if (textError) {
+      return res.status(400).json({ message: textError });
+    }
+
+    const { expense, group } = await findExpenseForMember(req, res);
+    if (!expense) return;
+
+    const comment = await Comment.create({
+      expenseId: expense._id,
+      groupId: group._id,
+      userId: req.user._id,
+      userName: req.user.name,
+      text: text.trim()
+    });
+
+    // Let the payers and participants know about the new comment
+    await notifyExpenseMembers(
+      expense,
+      req.user._id,
+      `${req.user.name} commented on expense "${expense.title}"` +
+        `${group.isDirect ? '' : ` in group "${group.name}"`}: "${comment.text}"`
+    );
+
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/expenses/:id/comments/:commentId
+// @access  Private
+const updateComment = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    const textError = validateCommentText(text);
+    if (textError) {
+      return res.status(400).json({ message: textError });
+    }
+
+    const { expense } = await findExpenseForMember(req, res);
+    if (!expense) return;
+
+    // Find the comment
+    const comment = await Comment.findOne({ _id: req.params.commentId, expenseId: expense._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Only the author can change what they wrote
+    if (comment.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to edit this comment' });
+    }
+
+    comment.text = text.trim();
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.json(comment);
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a comment
+// @route   DELETE /api/expenses/:id/comments/:commentId
+// @access  Private
+const deleteComment = async (req, res) => {
+  try {
+    const { expense, group } = await findExpenseForMember(req, res);
+    if (!expense) return;
+
+    // Find the comment
+    const comment = await Comment.findOne({ _id: req.params.commentId, expenseId: expense._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Check if user is the author of the comment or group admin
+    if (comment.userId.toString() !== req.user._id.toString() &&
+        group.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+
+    // Delete the comment
+    await comment.deleteOne();
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getExpenseComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,106 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { clearCachedRates, toDay } = require('../utils/currencyConverter');
+
+// @desc    Get stored exchange rates for a base currency
+// @route   GET /api/exchange-rates?base=USD&from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private
+const getExchangeRates = async (req, res) => {
+  try {
+    const { base, from, to } = req.query;
+    
+    if (!base) {
+      return res.status(400).json({ message: 'Please provide a base currency' });
+    }
+    
+    const dateFilter = {};
+    if (from) dateFilter.$gte = from;
+    if (to) dateFilter.$lte = to;
+    
+    const rates = await ExchangeRate.find({
+      base: base.toUpperCase(),
+      ...(Object.keys(dateFilter).length > 0 && { date: dateFilter })
+    })
+      .populate('createdBy', 'name email')
+      .sort({ date: -1 })
+      .limit(100);
+    
+    res.json(rates);
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Enter exchange rates manually for a base currency and day
+// @route   POST /api/exchange-rates
+// @access  Private (admin)
+const setManualExchangeRates = async (req, res) => {
+  try {
+    const { base, date, rates } = req.body;
+    
+    if (!base || !rates || typeof rates !== 'object' || Object.keys(rates).length === 0) {
+      return res.status(400).json({ message: 'Please provide a base currency and rates' });
+    }
+    
+    const baseCurrency = typeof base === 'string' ? base.toUpperCase() : '';
+    if (!/^[A-Z]{3}$/.test(baseCurrency)) {
+      return res.status(400).json({ message: 'Invalid base currency' });
+    }
+    
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+    
+    for (const [currency, rate] of Object.entries(rates)) {
+      if (!/^[A-Z]{3}$/.test(currency) || typeof rate !== 'number' || rate <= 0) {
+        return res.status(400).json({ message: `Invalid rate for ${currency}` });
+      }
+    }
+    
+    const day = toDay(date ? new Date(date) : undefined);
+    
+    const entry = await ExchangeRate.findOneAndUpdate(
+      { base: baseCurrency, date: day, source: 'manual' },
+      { $set: { rates, createdBy: req.user._id } },
+      { upsert: true, new: true }
+    );
+    
+    clearCachedRates(baseCurrency, day);
+    
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Set exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete manually entered exchange rates
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private (admin)
+const deleteManualExchangeRates = async (req, res) => {
+  try {
+    const entry = await ExchangeRate.findById(req.params.id);
+    
+    if (!entry) {
+      return res.status(404).json({ message: 'Exchange rates not found' });
+    }
+    
+    if (entry.source !== 'manual') {
+      return res.status(400).json({ message: 'Only manually entered rates can be deleted' });
+    }
+    
+    await ExchangeRate.findByIdAndDelete(entry._id);
+    clearCachedRates(entry.base, entry.date);
+    
+    res.json({ message: 'Exchange rates deleted successfully' });
+  } catch (error) {
+    console.error('Delete exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  setManualExchangeRates,
+  deleteManualExchangeRates
+};
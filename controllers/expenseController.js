@@ -1,11 +1,170 @@
+const mongoose = require('mongoose');
 const Expense = require('../models/Expense');
 const Group = require('../models/Group');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
-const { calculateSplits } = require('../utils/expenseCalculator');
+const {
+  buildExpenseSplits,
+  buildExpensePayers,
+  getExpensePayers,
+  getPrimaryPayer,
+  isExpensePayer
+} = require('../utils/expenseCalculator');
+const {
+  createGroupExpense,
+  getDirectGroup,
+  getExpenseGroup,
+  toMinorUnitPayload,
+  getRateSnapshot,
+  notifyExpenseMembers
+} = require('../utils/expenseService');
 const { convertCurrency } = require('../utils/currencyConverter');
+const { buildExpenseQuery, sendExpensePage } = require('../utils/expenseQuery');
+const { resolveCategory, checkCategoryBudget, toCategoryKey } = require('../utils/categories');
+const { getPurgeDate } = require('../utils/expenseTrash');
+const { settleExpenseSplit } = require('../utils/settlements');
+const { importExpenses } = require('../utils/expenseImport');
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  formatMinorUnits,
+  hasValidPrecision,
+  allocateMinorUnits
+} = require('../utils/money');
+const { getConfirmationStatus, requestConfirmations } = require('../utils/expenseConfirmation');
+const { EXPENSE_TRASH_RETENTION_DAYS } = require('../config/constants');
 
-// @desc    Add expense to group
+/**
+ * Load the other user of a direct expense or IOU, who must exist and not be the current user.
+ * Sends the error response and returns null when the user can't be used.
+ */
+const findOtherUser = async (req, res, userId) => {
+  if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({ message: 'Invalid user ID' });
+    return null;
+  }
+
+  if (userId.toString() === req.user._id.toString()) {
+    res.status(400).json({ message: 'A direct expense needs another user' });
+    return null;
+  }
+
+  const otherUser = await User.findById(userId).select('name email');
+  if (!otherUser) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  return otherUser;
+};
+
+/**
+ * Convert the optional amount of a partial payment into minor units of the expense currency.
+ * Returns undefined when no amount was given (pay everything still owed) and null when it is invalid.
+ */
+const parsePaymentAmount = (amount, currency) => {
+  if (amount === undefined || amount === null || amount === '') return undefined;
+  if (isNaN(Number(amount)) || !hasValidPrecision(amount, currency)) return null;
+  return toMinorUnits(amount, currency);
+};
+
+/**
+ * Record the current user's confirmation or dispute of an expense they share, and
+ * let its payers and creator know about disputes and about the expense being confirmed
+ */
+const respondToExpense = async (req, res, confirmation, reason) => {
+  const expense = await Expense.findById(req.params.id);
+  if (!expense || expense.deletedAt) {
+    return res.status(404).json({ message: 'Expense not found' });
+  }
+  
+  const group = await getExpenseGroup(expense);
+  if (!group) {
+    return res.status(404).json({ message: 'Group not found' });
+  }
+  
+  // Only participants respond, each for their own split
+  const userId = req.user._id.toString();
+  const split = expense.splits.find(candidate => candidate.user.toString() === userId);
+  if (!split) {
+    return res.status(403).json({ message: 'Only participants of an expense can confirm or dispute it' });
+  }
+  
+  if (confirmation === 'confirmed' && split.confirmation === 'confirmed') {
+    return res.status(400).json({ message: 'You have already confirmed this expense' });
+  }
+  
+  const wasDisputed = split.confirmation === 'disputed';
+  split.confirmation = confirmation;
+  split.disputeReason = reason;
+  split.respondedAt = new Date();
+  expense.confirmationStatus = getConfirmationStatus(expense.splits);
+  await expense.save();
+  
+  const where = group.isDirect ? '' : ` in group "${group.name}"`;
+  let message;
+  if (confirmation === 'disputed') {
+    message = `${req.user.name} disputed expense "${expense.title}"${where}: "${reason}"`;
+  } else if (expense.confirmationStatus === 'confirmed') {
+    message = `Everyone has confirmed expense "${expense.title}"${where}`;
+  } else if (wasDisputed) {
+    message = `${req.user.name} withdrew their dispute of expense "${expense.title}"${where}`;
+  }
+  
+  if (message) {
+    const recipientIds = new Set([
+      ...getExpensePayers(expense).map(payer => payer.user.toString()),
+      ...(expense.createdBy ? [expense.createdBy.toString()] : [])
+    ]);
+    recipientIds.delete(userId);
+    
+    await Promise.all([...recipientIds].map(recipientId =>
+      Notification.create({
+        userId: recipientId,
+        message,
+        relatedResource: {
+          resourceType: 'expense',
+          resourceId: expense._id
+        }
+      })
+    ));
+  }
+  
+  res.json({
+    message: confirmation === 'disputed' ? 'Expense disputed' : 'Expense confirmed',
+    expense
+  });
+};
+
+/**
+ * Re-express an expense's stored minor units in another currency's decimal places,
+ * e.g. 1050 cents as 1050 fils (10.500) or 11 yen. Shares and payers are
+ * re-allocated so they still add up to the amount. Only used before any part of a
+ * split is paid, since the payments' settlements stay in the old currency.
+ */
+const rescaleExpenseAmounts = (expense, currency) => {
+  const rescale = (value) => toMinorUnits(fromMinorUnits(value, expense.currency), currency);
+  const amount = rescale(expense.amount);
+
+  const shares = allocateMinorUnits(amount, expense.splits.map(split => split.share), expense.roundingOffset);
+  expense.splits.forEach((split, index) => {
+    split.share = shares[index];
+    if (split.adjustment) split.adjustment = rescale(split.adjustment);
+  });
+
+  if (expense.payers.length > 0) {
+    const paid = allocateMinorUnits(amount, expense.payers.map(payer => payer.amount), expense.roundingOffset);
+    expense.payers.forEach((payer, index) => { payer.amount = paid[index]; });
+  }
+
+  expense.items.forEach(item => { item.amount = rescale(item.amount); });
+  expense.tax = rescale(expense.tax);
+  expense.tip = rescale(expense.tip);
+  expense.serviceCharge = rescale(expense.serviceCharge);
+  expense.amount = amount;
+};
+
+// @desc    Add expense to group, or a direct expense with one other user
 // @route   POST /api/expenses
 // @access  Private
 const addExpense = async (req, res) => {
@@ -14,144 +173,159 @@ const addExpense = async (req, res) => {
       title, 
       amount, 
       groupId, 
+      with: withUserId, // Other user of a direct expense, instead of groupId
       splitType, 
       splits, 
       category, 
       notes, 
       currency = 'USD',
-      selectedMembers = [] // New parameter for selected members only
+      selectedMembers = [], // New parameter for selected members only
+      items, // Line items for itemized splits
+      tax,
+      tip,
+      serviceCharge,
+      payers // Optional list of { user, amount } when several people paid
     } = req.body;
     
     // Validate required fields
-    if (!title || !amount || !groupId || !splitType) {
+    if (!title || !amount || (!groupId && !withUserId) || !splitType) {
       return res.status(400).json({ message: 'Please provide all required fields' });
     }
     
-    // Check if group exists
-    const group = await Group.findById(groupId);
-    if (!group) {
-      return res.status(404).json({ message: 'Group not found' });
+    let group;
+    if (groupId) {
+      // Check if group exists
+      group = await Group.findById(groupId);
+      if (!group) {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+      
+      // Check if user is in the group
+      if (!group.members.includes(req.user._id)) {
+        return res.status(403).json({ message: 'Not authorized to add expenses to this group' });
+      }
+    } else {
+      const otherUser = await findOtherUser(req, res, withUserId);
+      if (!otherUser) return;
+      
+      group = getDirectGroup([req.user._id, otherUser._id], req.user._id, currency);
     }
     
-    // Check if user is in the group
-    if (!group.members.includes(req.user._id)) {
-      return res.status(403).json({ message: 'Not authorized to add expenses to this group' });
+    // Calculate splits, create the expense and notify the members involved
+    let expense;
+    try {
+      expense = await createGroupExpense(group, req.user, {
+        title,
+        amount,
+        splitType,
+        splits,
+        category,
+        notes,
+        currency,
+        selectedMembers,
+        items,
+        tax,
+        tip,
+        serviceCharge,
+        payers
+      });
+    } catch (createError) {
+      if (createError.statusCode) {
+        return res.status(createError.statusCode).json({ message: createError.message });
+      }
+      throw createError;
     }
     
-    let processedSplits;
-    
-    // Handle different split types
-    switch (splitType) {
-      case 'equal':
-        // For equal splits, we can either use all members or selected members
-        if (selectedMembers && selectedMembers.length > 0) {
-          // Verify all selected members belong to the group
-          for (const memberId of selectedMembers) {
-            if (!group.members.includes(memberId)) {
-              return res.status(400).json({ message: `User ${memberId} is not a member of this group` });
-            }
-          }
-          
-          // Calculate equal splits among selected members only
-          const members = selectedMembers;
-          processedSplits = members.map(memberId => ({
-            user: memberId,
-            share: parseFloat((amount / members.length).toFixed(2))
-          }));
-          
-          // Adjust for rounding errors - add remainder to the first member
-          const totalAllocated = processedSplits.reduce((sum, split) => sum + split.share, 0);
-          if (Math.abs(totalAllocated - amount) > 0.01) {
-            const remainder = amount - totalAllocated;
-            processedSplits[0].share = parseFloat((processedSplits[0].share + remainder).toFixed(2));
-          }
-        } else {
-          // Original behavior - split among all members
-          processedSplits = calculateSplits(amount, splitType, group.members);
-        }
-        break;
-        
-      case 'percentage':
-      case 'exact':
-        // For percentage or exact splits, validate the provided splits
-        if (!splits || Object.keys(splits).length === 0) {
-          return res.status(400).json({ message: `Please provide split details for ${splitType} split` });
-        }
-        
-        // Ensure all split users are group members
-        for (const userId in splits) {
-          if (!group.members.includes(userId)) {
-            return res.status(400).json({ message: `User ${userId} is not a member of this group` });
-          }
-        }
-        
-        // Calculate splits based on the provided details
-        processedSplits = Object.entries(splits).map(([userId, share]) => ({
-          user: userId,
-          share: splitType === 'percentage' 
-            ? parseFloat((amount * share / 100).toFixed(2)) 
-            : parseFloat(share)
-        }));
-        
-        // Adjust for rounding errors in percentage splits
-        if (splitType === 'percentage') {
-          const totalAllocated = processedSplits.reduce((sum, split) => sum + split.share, 0);
-          if (Math.abs(totalAllocated - amount) > 0.01) {
-            const remainder = amount - totalAllocated;
-            processedSplits[0].share = parseFloat((processedSplits[0].share + remainder).toFixed(2));
-          }
-        }
-        break;
-        
-      default:
-        return res.status(400).json({ message: 'Invalid split type' });
-    }
-    
-    // Create new expense
-    const expense = await Expense.create({
-      title,
-      amount,
-      paidBy: req.user._id,
-      groupId,
-      splitType,
-      splits: processedSplits,
-      category: category || 'general',
-      notes,
-      currency
-    });
+    res.status(201).json(expense);
+  } catch (error) {
+    console.error('Add expense error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Record an IOU: one user lent another an amount, outside any group
+// @route   POST /api/expenses/iou
+// @access  Private
+const addIou = async (req, res) => {
+  try {
+    const { lender, borrower, amount, currency = 'USD', title, notes, category } = req.body;
     
-    // Add expense to group
-    await Group.findByIdAndUpdate(
-      groupId,
-      { $push: { expenses: expense._id } }
-    );
+    if (!amount || (!lender && !borrower)) {
+      return res.status(400).json({ message: 'Please provide amount and the lender or borrower' });
+    }
     
-    // Create notifications for group members involved in the expense
-    const notification = {
-      message: `${req.user.username} added a new expense "${title}" (${currency} ${amount}) to group "${group.name}"`,
-    };
+    // Whichever side is left out is the current user
+    const userId = req.user._id.toString();
+    const lenderId = (lender || userId).toString();
+    const borrowerId = (borrower || userId).toString();
     
-    const involvedMemberIds = processedSplits.map(split => split.user.toString());
+    if (lenderId !== userId && borrowerId !== userId) {
+      return res.status(403).json({ message: 'You can only record IOUs you are part of' });
+    }
     
-    const notificationPromises = involvedMemberIds
-      .filter(memberId => memberId !== req.user._id.toString())
-      .map(memberId => 
-        Notification.create({
-          userId: memberId,
-          ...notification
-        })
-      );
+    const otherUser = await findOtherUser(req, res, lenderId === userId ? borrowerId : lenderId);
+    if (!otherUser) return;
     
-    await Promise.all(notificationPromises);
+    // The lender paid the whole amount and it is all the borrower's share
+    let expense;
+    try {
+      expense = await createGroupExpense(getDirectGroup([lenderId, borrowerId], req.user._id, currency), req.user, {
+        title: title || 'IOU',
+        amount,
+        splitType: 'exact',
+        splits: { [borrowerId]: amount },
+        payers: [{ user: lenderId, amount }],
+        category,
+        notes,
+        currency,
+        kind: 'iou'
+      });
+    } catch (createError) {
+      if (createError.statusCode) {
+        return res.status(createError.statusCode).json({ message: createError.message });
+      }
+      throw createError;
+    }
     
     res.status(201).json(expense);
   } catch (error) {
-    console.error('Add expense error:', error);
+    console.error('Add IOU error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
-// @desc    Get all expenses for a group
+// @desc    Get your direct expenses and IOUs, optionally only those with one user
+// @route   GET /api/expenses/direct?with=
+// @access  Private
+const getDirectExpenses = async (req, res) => {
+  try {
+    const baseFilter = { groupId: null, members: req.user._id };
+    if (req.query.with) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.with)) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+      }
+      baseFilter.members = { $all: [req.user._id, req.query.with] };
+    }
+    
+    let expenseQuery;
+    try {
+      expenseQuery = buildExpenseQuery(req.query);
+    } catch (queryError) {
+      return res.status(400).json({ message: queryError.message });
+    }
+    
+    await sendExpensePage(res, baseFilter, expenseQuery, query => query
+      .populate('members', 'name email')
+      .populate('paidBy', 'name email')
+      .populate('payers.user', 'name email')
+      .populate('splits.user', 'name email'));
+  } catch (error) {
+    console.error('Get direct expenses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get expenses for a group, with optional filters and cursor pagination
 // @route   GET /api/groups/:id/expenses
 // @access  Private
 const getGroupExpenses = async (req, res) => {
@@ -169,20 +343,334 @@ const getGroupExpenses = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to view expenses for this group' });
     }
     
-    // Get all expenses for the group
-    const expenses = await Expense.find({ groupId })
-      .populate('paidBy', 'name email')
-      .populate('splits.user', 'name email')
-      .sort({ createdAt: -1 });
+    let expenseQuery;
+    try {
+      expenseQuery = buildExpenseQuery(req.query);
+    } catch (queryError) {
+      return res.status(400).json({ message: queryError.message });
+    }
     
-    res.json(expenses);
+    // Get the matching expenses for the group
+    await sendExpensePage(res, { groupId: group._id }, expenseQuery, query => query
+      .populate('paidBy', 'name email')
+      .populate('payers.user', 'name email')
+      .populate('splits.user', 'name email'));
   } catch (error) {
     console.error('Get group expenses error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// @desc    Delete an expense
+// @desc    Update an expense
+// @route   PUT /api/expenses/:id
+// @access  Private
+const updateExpense = async (req, res) => {
+  try {
+    const expenseId = req.params.id;
+    const { 
+      title, 
+      amount, 
+      splitType, 
+      splits, 
+      category, 
+      notes, 
+      selectedMembers,
+      items,
+      tax,
+      tip,
+      serviceCharge,
+      payers,
+      currency
+    } = req.body;
+    
+    // Find the expense
+    const expense = await Expense.findById(expenseId);
+    if (!expense || expense.deletedAt) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    
+    const group = await getExpenseGroup(expense);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    
+    // Only a payer or the group admin (for direct expenses, whoever recorded it) can edit an expense
+    const userId = req.user._id.toString();
+    if (!isExpensePayer(expense, userId) && group.createdBy.toString() !== userId) {
+      return res.status(403).json({ message: 'Not authorized to update this expense' });
+    }
+    
+    if (amount !== undefined && (isNaN(amount) || amount <= 0)) {
+      return res.status(400).json({ message: 'Invalid expense amount' });
+    }
+    
+    // Amounts in the request are major units of the (new) expense currency
+    const newCurrency = currency !== undefined ? currency.toUpperCase() : expense.currency;
+    let minor;
+    try {
+      minor = toMinorUnitPayload({
+        amount,
+        splitType: splitType || expense.splitType,
+        splits,
+        items,
+        tax,
+        tip,
+        serviceCharge,
+        payers
+      }, newCurrency);
+    } catch (amountError) {
+      return res.status(amountError.statusCode || 500).json({ message: amountError.message });
+    }
+    
+    const changes = [];
+    const previousParticipants = expense.splits.map(split => split.user.toString());
+    const previousPayers = getExpensePayers(expense).map(payer => payer.user.toString());
+    
+    if (title !== undefined && title !== expense.title) {
+      if (!title) {
+        return res.status(400).json({ message: 'Title cannot be empty' });
+      }
+      changes.push(`title "${expense.title}" to "${title}"`);
+      expense.title = title;
+    }
+    
+    if (category !== undefined) {
+      let newCategoryKey;
+      try {
+        newCategoryKey = group.isDirect
+          ? toCategoryKey(category || 'general')
+          : (await resolveCategory(group._id, category)).key;
+      } catch (categoryError) {
+        return res.status(categoryError.statusCode || 500).json({ message: categoryError.message });
+      }
+      
+      if (newCategoryKey !== expense.category) {
+        changes.push(`category ${expense.category} to ${newCategoryKey}`);
+        expense.category = newCategoryKey;
+      }
+    }
+    
+    if (notes !== undefined && notes !== expense.notes) {
+      changes.push('notes');
+      expense.notes = notes;
+    }
+    
+    // A new currency needs a new exchange rate snapshot; direct expenses stay in their own currency
+    if (currency !== undefined && newCurrency !== expense.currency) {
+      // Payments are recorded as settlements in the expense currency
+      if (expense.splits.some(split => split.payments.length > 0)) {
+        return res.status(400).json({
+          message: 'The currency cannot be changed once part of the expense has been paid'
+        });
+      }
+      const rateGroup = group.isDirect ? getDirectGroup(group.members, group.createdBy, newCurrency) : group;
+      try {
+        expense.exchangeRate = await getRateSnapshot(newCurrency, rateGroup, expense.createdAt);
+      } catch (rateError) {
+        return res.status(rateError.statusCode || 500).json({ message: rateError.message });
+      }
+      changes.push(`currency ${expense.currency} to ${newCurrency}`);
+      rescaleExpenseAmounts(expense, newCurrency);
+      expense.currency = newCurrency;
+      expense.baseCurrency = rateGroup.baseCurrency;
+    }
+    
+    // Re-run the split calculation whenever anything affecting it changes
+    const splitsChanged = amount !== undefined || splitType !== undefined ||
+      splits !== undefined || selectedMembers !== undefined || items !== undefined ||
+      tax !== undefined || tip !== undefined || serviceCharge !== undefined;
+    
+    if (splitsChanged) {
+      const newAmount = amount !== undefined ? minor.amount : expense.amount;
+      const newSplitType = splitType || expense.splitType;
+      
+      // Equal and adjustment splits keep the current participants unless new ones are given
+      const keepsParticipants = newSplitType === 'equal' || newSplitType === 'adjustment';
+      const members = selectedMembers && selectedMembers.length > 0
+        ? selectedMembers
+        : keepsParticipants ? previousParticipants : [];
+      
+      // Share counts and adjustments are stored, so they can be reused when only the amount changes
+      let splitDetails = minor.splits;
+      if (!splitDetails && newSplitType === expense.splitType) {
+        if (newSplitType === 'shares') {
+          splitDetails = Object.fromEntries(
+            expense.splits.map(split => [split.user.toString(), split.weight])
+          );
+        } else if (newSplitType === 'adjustment') {
+          splitDetails = Object.fromEntries(
+            expense.splits
+              .filter(split => split.adjustment)
+              .map(split => [split.user.toString(), split.adjustment])
+          );
+        }
+      }
+      
+      // Itemized splits fall back to the stored receipt for anything not provided
+      const itemized = newSplitType === 'itemized';
+      const keepReceipt = itemized && expense.splitType === 'itemized';
+      const receipt = {
+        items: minor.items || (keepReceipt ? expense.items.map(item => item.toObject()) : undefined),
+        tax: tax !== undefined ? minor.tax : keepReceipt ? expense.tax : 0,
+        tip: tip !== undefined ? minor.tip : keepReceipt ? expense.tip : 0,
+        serviceCharge: serviceCharge !== undefined ? minor.serviceCharge : keepReceipt ? expense.serviceCharge : 0
+      };
+      
+      let processedSplits;
+      try {
+        processedSplits = buildExpenseSplits(newAmount, newSplitType, group.members, {
+          splits: splitDetails,
+          selectedMembers: members,
+          ...receipt,
+          offset: expense.roundingOffset
+        });
+      } catch (splitError) {
+        return res.status(400).json({ message: splitError.message });
+      }
+      
+      // Keep the payments already made, and the settled state and responses of
+      // participants whose share did not change
+      processedSplits = processedSplits.map(split => {
+        const previous = expense.splits.find(
+          oldSplit => oldSplit.user.toString() === split.user.toString()
+        );
+        
+        if (!previous) {
+          return split;
+        }
+        
+        const paid = {
+          paidAmount: previous.paidAmount,
+          payments: previous.payments.map(payment => payment.toObject())
+        };
+        
+        if (previous.share === split.share) {
+          return {
+            ...split,
+            ...paid,
+            ...(previous.settled && { settled: true, settledAt: previous.settledAt }),
+            confirmation: previous.confirmation,
+            disputeReason: previous.disputeReason,
+            respondedAt: previous.respondedAt
+          };
+        }
+        return { ...split, ...paid };
+      });
+      
+      if (newAmount !== expense.amount) {
+        changes.push(`amount ${formatMinorUnits(expense.amount, expense.currency)} to ` +
+          formatMinorUnits(newAmount, expense.currency));
+      }
+      if (newSplitType !== expense.splitType) {
+        changes.push(`split type ${expense.splitType} to ${newSplitType}`);
+      }
+      
+      const sharesChanged = processedSplits.length !== expense.splits.length ||
+        processedSplits.some(split => {
+          const previous = expense.splits.find(
+            oldSplit => oldSplit.user.toString() === split.user.toString()
+          );
+          return !previous || previous.share !== split.share;
+        });
+      if (sharesChanged) {
+        changes.push('split shares');
+      }
+      
+      if (itemized && (items !== undefined || tax !== undefined || tip !== undefined || serviceCharge !== undefined)) {
+        changes.push('receipt items');
+      }
+      
+      expense.amount = newAmount;
+      expense.splitType = newSplitType;
+      expense.splits = processedSplits;
+      
+      // Changed shares have to be confirmed again, which also clears any disputes
+      if (sharesChanged) {
+        requestConfirmations(expense, userId);
+      }
+      expense.items = itemized ? receipt.items : [];
+      expense.tax = itemized ? receipt.tax : 0;
+      expense.tip = itemized ? receipt.tip : 0;
+      expense.serviceCharge = itemized ? receipt.serviceCharge : 0;
+    }
+    
+    // Payers must be re-entered when the amount changes and several people paid
+    if (payers !== undefined || amount !== undefined) {
+      const currentPayers = getExpensePayers(expense);
+      let newPayers = minor.payers;
+      if (newPayers === undefined) {
+        newPayers = currentPayers.length === 1
+          ? [{ user: currentPayers[0].user, amount: expense.amount }]
+          : currentPayers.map(payer => ({ user: payer.user, amount: payer.amount }));
+      }
+      
+      let processedPayers;
+      try {
+        processedPayers = buildExpensePayers(expense.amount, group.members, newPayers, expense.paidBy);
+      } catch (payerError) {
+        return res.status(400).json({ message: payerError.message });
+      }
+      
+      const payersChanged = processedPayers.length !== currentPayers.length ||
+        processedPayers.some(payer => !currentPayers.some(current =>
+          current.user.toString() === payer.user.toString() &&
+          current.amount === payer.amount
+        ));
+      if (payersChanged && payers !== undefined) {
+        changes.push('payers');
+      }
+      
+      expense.payers = processedPayers;
+      expense.paidBy = getPrimaryPayer(processedPayers);
+    }
+    
+    if (changes.length === 0) {
+      return res.json(expense);
+    }
+    
+    expense.updatedAt = new Date();
+    await expense.save();
+    
+    // Notify everyone who was or now is part of the expense
+    const affectedMemberIds = new Set([
+      ...previousParticipants,
+      ...previousPayers,
+      ...expense.splits.map(split => split.user.toString()),
+      ...expense.payers.map(payer => payer.user.toString())
+    ]);
+    affectedMemberIds.delete(userId);
+    
+    const notificationPromises = [...affectedMemberIds].map(memberId =>
+      Notification.create({
+        userId: memberId,
+        message: `${req.user.username} updated expense "${expense.title}"` +
+          `${group.isDirect ? '' : ` in group "${group.name}"`}: ${changes.join(', ')}`,
+        relatedResource: {
+          resourceType: 'expense',
+          resourceId: expense._id
+        }
+      })
+    );
+    
+    await Promise.all(notificationPromises);
+    
+    // A higher amount or a new category can push a category over its budget
+    if (!group.isDirect) {
+      try {
+        await checkCategoryBudget(group, expense.category, expense.createdAt);
+      } catch (budgetError) {
+        console.error('Category budget check error:', budgetError);
+      }
+    }
+    
+    res.json(expense);
+  } catch (error) {
+    console.error('Update expense error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Move an expense to the group trash
 // @route   DELETE /api/expenses/:id
 // @access  Private
 const deleteExpense = async (req, res) => {
@@ -191,53 +679,229 @@ const deleteExpense = async (req, res) => {
     
     // Find the expense
     const expense = await Expense.findById(expenseId);
-    if (!expense) {
+    if (!expense || expense.deletedAt) {
       return res.status(404).json({ message: 'Expense not found' });
     }
     
-    // Check if user created the expense
-    if (expense.paidBy.toString() !== req.user._id.toString()) {
+    // Check if user paid for the expense
+    if (!isExpensePayer(expense, req.user._id)) {
       return res.status(403).json({ message: 'Not authorized to delete this expense' });
     }
     
     // Remove expense from group
-    await Group.findByIdAndUpdate(
+    const group = expense.groupId && await Group.findByIdAndUpdate(
       expense.groupId,
       { $pull: { expenses: expenseId } }
     );
     
-    // Delete the expense
-    await Expense.findByIdAndDelete(expenseId);
+    // Keep the expense (and its receipt files) in the trash until it is purged
+    expense.deletedAt = new Date();
+    expense.deletedBy = req.user._id;
+    await expense.save();
+    
+    await notifyExpenseMembers(
+      expense,
+      req.user._id,
+      group
+        ? `${req.user.username} deleted expense "${expense.title}" from group "${group.name}". ` +
+          `It can be restored from the group's trash for ${EXPENSE_TRASH_RETENTION_DAYS} days`
+        : `${req.user.username} deleted expense "${expense.title}". ` +
+          `It can be restored for ${EXPENSE_TRASH_RETENTION_DAYS} days`
+    );
     
-    res.json({ message: 'Expense deleted successfully' });
+    res.json({ message: 'Expense moved to trash', purgeAt: getPurgeDate(expense) });
   } catch (error) {
     console.error('Delete expense error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+// @desc    Restore an expense from the group trash
+// @route   POST /api/expenses/:id/restore
+// @access  Private
+const restoreExpense = async (req, res) => {
+  try {
+    const expenseId = req.params.id;
+    
+    const expense = await Expense.findById(expenseId);
+    if (!expense || !expense.deletedAt) {
+      return res.status(404).json({ message: 'Deleted expense not found' });
+    }
+    
+    const group = await getExpenseGroup(expense);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    
+    // A payer or the group admin can restore an expense
+    const userId = req.user._id.toString();
+    if (!isExpensePayer(expense, userId) && group.createdBy.toString() !== userId) {
+      return res.status(403).json({ message: 'Not authorized to restore this expense' });
+    }
+    
+    expense.deletedAt = null;
+    expense.deletedBy = undefined;
+    await expense.save();
+    
+    // Add expense back to group
+    if (!group.isDirect) {
+      await Group.findByIdAndUpdate(
+        group._id,
+        { $addToSet: { expenses: expense._id } }
+      );
+    }
+    
+    await notifyExpenseMembers(
+      expense,
+      req.user._id,
+      `${req.user.username} restored expense "${expense.title}"` +
+        `${group.isDirect ? '' : ` in group "${group.name}"`}`
+    );
+    
+    // Restored spending counts towards the category budget again
+    if (!group.isDirect) {
+      try {
+        await checkCategoryBudget(group, expense.category, expense.createdAt);
+      } catch (budgetError) {
+        console.error('Category budget check error:', budgetError);
+      }
+    }
+    
+    res.json({ message: 'Expense restored', expense });
+  } catch (error) {
+    console.error('Restore expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the deleted expenses of a group
+// @route   GET /api/groups/:id/trash
+// @access  Private
+const getGroupTrash = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    
+    // Check if user is in the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view expenses for this group' });
+    }
+    
+    const expenses = await Expense.find({ groupId: group._id, deletedAt: { $ne: null } })
+      .populate('deletedBy', 'name email')
+      .populate('paidBy', 'name email')
+      .populate('payers.user', 'name email')
+      .populate('splits.user', 'name email')
+      .sort({ deletedAt: -1 });
+    
+    res.json(expenses.map(expense => ({
+      ...expense.toJSON(),
+      purgeAt: getPurgeDate(expense)
+    })));
+  } catch (error) {
+    console.error('Get group trash error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Import expenses from a CSV file (generic or Splitwise export), as a dry run or for real
+// @route   POST /api/groups/:id/import
+// @access  Private
+const importGroupExpenses = async (req, res) => {
+  try {
+    const { format = 'generic', mode = 'dry-run' } = req.body;
+    
+    if (!['dry-run', 'commit'].includes(mode)) {
+      return res.status(400).json({ message: 'Mode must be dry-run or commit' });
+    }
+    
+    // The CSV comes as an uploaded file or as text in the JSON body
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ message: 'Please upload a CSV file or provide csv text' });
+    }
+    
+    // Multipart forms send the mapping objects as JSON text
+    let mapping;
+    let members;
+    try {
+      mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      members = typeof req.body.members === 'string' ? JSON.parse(req.body.members) : req.body.members;
+    } catch (parseError) {
+      return res.status(400).json({ message: 'mapping and members must be JSON objects' });
+    }
+    
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    
+    // Check if user is in the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to add expenses to this group' });
+    }
+    
+    let report;
+    try {
+      report = await importExpenses(group, req.user, csv, {
+        format,
+        mapping,
+        members,
+        commit: mode === 'commit'
+      });
+    } catch (importError) {
+      if (importError.statusCode) {
+        return res.status(importError.statusCode).json({ message: importError.message });
+      }
+      throw importError;
+    }
+    
+    if (mode === 'dry-run') {
+      return res.json(report);
+    }
+    
+    // Nothing is imported while any row has errors
+    if (!report.created) {
+      return res.status(400).json({ message: 'Fix the rows with errors before importing', ...report });
+    }
+    
+    res.status(201).json({ message: 'Expenses imported', ...report });
+  } catch (error) {
+    console.error('Import expenses error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // @desc    Convert currency
-// @route   GET /api/convert
+// @route   GET /api/expenses/convert?from=&to=&amount=&date=
 // @access  Private
 const convertCurrencyAmount = async (req, res) => {
   try {
-    const { from, to, amount } = req.query;
+    const { from, to, amount, date } = req.query;
     
     if (!from || !to || !amount) {
       return res.status(400).json({ message: 'Please provide from, to and amount parameters' });
     }
     
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+    
     const convertedAmount = await convertCurrency(
       parseFloat(amount),
       from.toUpperCase(),
-      to.toUpperCase()
+      to.toUpperCase(),
+      date ? new Date(date) : undefined
     );
     
     res.json({
       from,
       to,
       amount: parseFloat(amount),
-      convertedAmount
+      convertedAmount,
+      ...(date && { date })
     });
   } catch (error) {
     console.error('Currency conversion error:', error);
@@ -245,7 +909,7 @@ const convertCurrencyAmount = async (req, res) => {
   }
 };
 
-// @desc    Get all expenses for current user across all groups
+// @desc    Get expenses for current user across all groups, with optional filters and cursor pagination
 // @route   GET /api/expenses
 // @access  Private
 const getAllUserExpenses = async (req, res) => {
@@ -253,38 +917,46 @@ const getAllUserExpenses = async (req, res) => {
     // Get all groups the user is a member of
     const userGroups = await Group.find({ members: req.user._id }).select('_id name');
     
-    if (userGroups.length === 0) {
-      return res.json([]);
-    }
-    
     // Get all group IDs
     const groupIds = userGroups.map(group => group._id);
     
-    // Find all expenses from these groups
-    const expenses = await Expense.find({ groupId: { $in: groupIds } })
+    let expenseQuery;
+    try {
+      expenseQuery = buildExpenseQuery(req.query);
+    } catch (queryError) {
+      return res.status(400).json({ message: queryError.message });
+    }
+    
+    // Find the matching expenses from these groups, plus the user's direct expenses and IOUs
+    const baseFilter = {
+      $or: [
+        { groupId: { $in: groupIds } },
+        { groupId: null, members: req.user._id }
+      ]
+    };
+    await sendExpensePage(res, baseFilter, expenseQuery, query => query
       .populate('paidBy', 'name email')
+      .populate('payers.user', 'name email')
       .populate('splits.user', 'name email')
-      .populate('groupId', 'name') // Include group name
-      .sort({ createdAt: -1 });
-      
-    res.json(expenses);
+      .populate('members', 'name email')
+      .populate('groupId', 'name')); // Include group name
   } catch (error) {
     console.error('Get all user expenses error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
-// @desc    Mark a user's share of an expense as settled
+// @desc    Pay off a user's share of an expense, in full or in part
 // @route   POST /api/expenses/:id/settle
 // @access  Private
 const settleExpense = async (req, res) => {
   try {
     const expenseId = req.params.id;
-    const { userId } = req.body; // User who is settling up (if admin is marking on behalf of someone)
+    const { userId, amount } = req.body; // User who is settling up (if admin is marking on behalf of someone)
     
     // Find the expense
     const expense = await Expense.findById(expenseId);
-    if (!expense) {
+    if (!expense || expense.deletedAt) {
       return res.status(404).json({ message: 'Expense not found' });
     }
     
@@ -300,25 +972,62 @@ const settleExpense = async (req, res) => {
       return res.status(400).json({ message: 'User is not part of this expense' });
     }
     
-    // Mark as settled
-    expense.splits[splitIndex].settled = true;
-    expense.splits[splitIndex].settledAt = new Date();
+    // Check if already settled
+    if (expense.splits[splitIndex].settled) {
+      return res.status(400).json({ message: 'This share is already settled' });
+    }
     
-    await expense.save();
+    const group = await getExpenseGroup(expense);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
     
-    // Create notification for the user who paid
-    if (expense.paidBy.toString() !== settlingUserId) {
+    // Check if user is in the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to settle expenses in this group' });
+    }
+    
+    // Pay only part of the share when an amount is given
+    const paymentAmount = parsePaymentAmount(amount, expense.currency);
+    if (paymentAmount === null) {
+      return res.status(400).json({ message: `Amount must be a valid ${expense.currency} amount` });
+    }
+    
+    // Record the payments to the payers and mark the share as settled once paid in full
+    let settlements;
+    try {
+      settlements = await settleExpenseSplit(expense, group, settlingUserId, req.user._id, paymentAmount);
+    } catch (settleError) {
+      if (settleError.statusCode) {
+        return res.status(settleError.statusCode).json({ message: settleError.message });
+      }
+      throw settleError;
+    }
+    
+    // Create notification for the users who paid
+    const otherPayers = getExpensePayers(expense)
+      .filter(payer => payer.user.toString() !== settlingUserId);
+    
+    const split = expense.splits[splitIndex];
+    if (otherPayers.length > 0) {
       const settlingUser = await User.findById(settlingUserId);
+      const paid = settlements.reduce((sum, settlement) => sum + settlement.amount, 0);
+      const message = split.settled
+        ? `${settlingUser.name} has settled their share of expense "${expense.title}" (${expense.currency} ${formatMinorUnits(split.share, expense.currency)})`
+        : `${settlingUser.name} has paid ${expense.currency} ${formatMinorUnits(paid, expense.currency)} towards their share of expense "${expense.title}"`;
       
-      await Notification.create({
-        userId: expense.paidBy,
-        message: `${settlingUser.name} has settled their share of expense "${expense.title}" (${expense.splits[splitIndex].share})`
-      });
+      await Promise.all(otherPayers.map(payer =>
+        Notification.create({
+          userId: payer.user,
+          message
+        })
+      ));
     }
     
     res.json({ 
-      message: 'Expense marked as settled',
-      expense
+      message: split.settled ? 'Expense marked as settled' : 'Partial payment recorded',
+      expense,
+      settlements
     });
   } catch (error) {
     console.error('Settle expense error:', error);
@@ -326,13 +1035,13 @@ const settleExpense = async (req, res) => {
   }
 };
 
-// @desc    Mark a specific split as settled
+// @desc    Record a payment against a specific split, in full or in part
 // @route   POST /api/expenses/:id/settle-split
 // @access  Private
 const settleSplit = async (req, res) => {
   try {
     const expenseId = req.params.id;
-    const { userId } = req.body; // The user whose split is being settled
+    const { userId, amount } = req.body; // The user whose split is being settled
     
     if (!userId) {
       return res.status(400).json({ message: 'Please provide userId for the split to settle' });
@@ -340,13 +1049,13 @@ const settleSplit = async (req, res) => {
     
     // Find the expense
     const expense = await Expense.findById(expenseId);
-    if (!expense) {
+    if (!expense || expense.deletedAt) {
       return res.status(404).json({ message: 'Expense not found' });
     }
     
-    // Verify that the current user is the one who paid for the expense
-    if (expense.paidBy.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Only the expense creator can mark splits as settled' });
+    // Verify that the current user is one of the people who paid for the expense
+    if (!isExpensePayer(expense, req.user._id)) {
+      return res.status(403).json({ message: 'Only a payer of the expense can mark splits as settled' });
     }
     
     // Find the specific split to settle
@@ -363,21 +1072,42 @@ const settleSplit = async (req, res) => {
       return res.status(400).json({ message: 'This split is already settled' });
     }
     
-    // Mark as settled
-    expense.splits[splitIndex].settled = true;
-    expense.splits[splitIndex].settledAt = new Date();
+    const group = await getExpenseGroup(expense);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
     
-    await expense.save();
+    // Pay only part of the split when an amount is given
+    const paymentAmount = parsePaymentAmount(amount, expense.currency);
+    if (paymentAmount === null) {
+      return res.status(400).json({ message: `Amount must be a valid ${expense.currency} amount` });
+    }
+    
+    // Record the payments to the payers and mark the split as settled once paid in full
+    let settlements;
+    try {
+      settlements = await settleExpenseSplit(expense, group, userId, req.user._id, paymentAmount);
+    } catch (settleError) {
+      if (settleError.statusCode) {
+        return res.status(settleError.statusCode).json({ message: settleError.message });
+      }
+      throw settleError;
+    }
     
     // Create notification for the user whose split was settled
+    const split = expense.splits[splitIndex];
+    const paid = settlements.reduce((sum, settlement) => sum + settlement.amount, 0);
     await Notification.create({
       userId: userId,
-      message: `${req.user.name} has marked your payment for expense "${expense.title}" (${expense.currency} ${expense.splits[splitIndex].share.toFixed(2)}) as settled`
+      message: split.settled
+        ? `${req.user.name} has marked your payment for expense "${expense.title}" (${expense.currency} ${formatMinorUnits(split.share, expense.currency)}) as settled`
+        : `${req.user.name} has recorded your payment of ${expense.currency} ${formatMinorUnits(paid, expense.currency)} towards expense "${expense.title}"`
     });
     
     res.json({ 
-      message: 'Split marked as settled',
-      expense
+      message: split.settled ? 'Split marked as settled' : 'Partial payment recorded',
+      expense,
+      settlements
     });
   } catch (error) {
     console.error('Settle split error:', error);
@@ -385,12 +1115,54 @@ const settleSplit = async (req, res) => {
   }
 };
 
+// @desc    Confirm your share of an expense (also withdraws a dispute)
+// @route   POST /api/expenses/:id/confirm
+// @access  Private
+const confirmExpense = async (req, res) => {
+  try {
+    await respondToExpense(req, res, 'confirmed');
+  } catch (error) {
+    console.error('Confirm expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Dispute an expense you share, with a reason
+// @route   POST /api/expenses/:id/dispute
+// @access  Private
+const disputeExpense = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    
+    if (!reason) {
+      return res.status(400).json({ message: 'Please give a reason for the dispute' });
+    }
+    
+    if (reason.length > 500) {
+      return res.status(400).json({ message: 'Reason cannot be longer than 500 characters' });
+    }
+    
+    await respondToExpense(req, res, 'disputed', reason);
+  } catch (error) {
+    console.error('Dispute expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   addExpense,
+  addIou,
+  getDirectExpenses,
   getGroupExpenses,
+  updateExpense,
   deleteExpense,
+  restoreExpense,
+  getGroupTrash,
+  importGroupExpenses,
   convertCurrencyAmount,
   getAllUserExpenses,
   settleExpense,
-  settleSplit
+  settleSplit,
+  confirmExpense,
+  disputeExpense
 }; 
\ No newline at end of file
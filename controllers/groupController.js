@@ -8,22 +8,38 @@ const { sendInviteEmail } = require('../utils/emailService');
 const { INVITE_TOKEN_EXPIRY } = require('../config/constants');
 const mongoose = require('mongoose');
 const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const Settlement = require('../models/Settlement');
+const Reminder = require('../models/Reminder');
+const RecurringExpense = require('../models/RecurringExpense');
 const jwt = require('jsonwebtoken');
-const { calculateUserBalance } = require('../utils/expenseCalculator');
+const { calculateUserSummary, getOpenShares } = require('../utils/expenseCalculator');
+const { removeAttachmentFiles } = require('../utils/attachmentStorage');
+const { STRATEGIES } = require('../utils/debtSimplification');
+const { getCountedExpenseFilter } = require('../utils/expenseConfirmation');
+const { fromMinorUnits } = require('../utils/money');
+const { EXPORT_FORMATS, streamGroupExport } = require('../utils/groupExport');
+const { getGroupAnalytics: buildGroupAnalytics } = require('../utils/analytics');
 
 // @desc    Create a new group
 // @route   POST /api/groups
 // @access  Private
 const createGroup = async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, baseCurrency = 'USD' } = req.body;
     
     if (!name) {
       return res.status(400).json({ message: 'Group name is required' });
     }
     
+    if (!/^[A-Z]{3}$/i.test(baseCurrency)) {
+      return res.status(400).json({ message: 'Base currency must be a 3-letter currency code' });
+    }
+    
     const group = await Group.create({
       name,
+      baseCurrency: baseCurrency.toUpperCase(),
       members: [req.user._id], // Add creator as first member
       createdBy: req.user._id
     });
@@ -506,6 +522,56 @@ const verifyInviteToken = async (req, res) => {
   }
 };
 
+// @desc    Update group settings
+// @route   PUT /api/groups/:id/settings
+// @access  Private
+const updateGroupSettings = async (req, res) => {
+  try {
+    const { debtSimplification, requireConfirmation, excludeDisputedExpenses, reminderAfterDays } = req.body;
+    
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    
+    // Check if user is the creator of the group
+    if (group.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to change the settings of this group' });
+    }
+    
+    if (debtSimplification !== undefined) {
+      if (!STRATEGIES.includes(debtSimplification)) {
+        return res.status(400).json({ message: `Debt simplification must be one of: ${STRATEGIES.join(', ')}` });
+      }
+      group.debtSimplification = debtSimplification;
+    }
+    
+    // Whether unconfirmed or disputed expenses count towards balances
+    for (const [key, value] of Object.entries({ requireConfirmation, excludeDisputedExpenses })) {
+      if (value === undefined) continue;
+      if (typeof value !== 'boolean') {
+        return res.status(400).json({ message: `${key} must be true or false` });
+      }
+      group[key] = value;
+    }
+    
+    // Days before automatic payment reminders start, 0 to turn them off
+    if (reminderAfterDays !== undefined) {
+      if (!Number.isInteger(reminderAfterDays) || reminderAfterDays < 0) {
+        return res.status(400).json({ message: 'reminderAfterDays must be a whole number of days, 0 or more' });
+      }
+      group.reminderAfterDays = reminderAfterDays;
+    }
+    
+    await group.save();
+    
+    res.json(group);
+  } catch (error) {
+    console.error('Update group settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Delete a group
 // @route   DELETE /api/groups/:id
 // @access  Private
@@ -524,8 +590,26 @@ const deleteGroup = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this group' });
     }
     
-    // Delete all expenses associated with this group
+    // Delete all expenses associated with this group, including their receipt files
+    const expensesWithAttachments = await Expense.find({
+      groupId,
+      'attachments.0': { $exists: true }
+    }).select('attachments');
     await Expense.deleteMany({ groupId });
+    await removeAttachmentFiles(
+      expensesWithAttachments.flatMap(expense => expense.attachments)
+    );
+    await Comment.deleteMany({ groupId });
+    await Reminder.deleteMany({ groupId });
+    
+    // Delete the group's recurring expense schedules
+    await RecurringExpense.deleteMany({ groupId });
+    
+    // Delete the payments recorded between members
+    await Settlement.deleteMany({ groupId });
+    
+    // Delete the group's categories and budgets
+    await Category.deleteMany({ groupId });
     
     // Delete all email invitations associated with this group
     await InviteToken.deleteMany({ groupId });
@@ -570,105 +654,72 @@ const getGroupBalanceSummary = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to access this group' });
     }
     
-    // Get all expenses for this group
-    const expenses = await Expense.find({ groupId })
+    // Get all expenses for this group that count towards balances
+    const expenses = await Expense.find({ groupId, deletedAt: null, ...getCountedExpenseFilter(group) })
       .populate('paidBy', 'name email')
+      .populate('payers.user', 'name email')
       .populate('splits.user', 'name email');
     
-    if (!expenses || expenses.length === 0) {
+    // Payments recorded between members are netted against the expense debts
+    const settlements = await Settlement.find({ groupId });
+    
+    if (expenses.length === 0 && settlements.length === 0) {
       return res.json({
+        currency: group.baseCurrency,
         yourShare: 0,
         youPaid: 0,
         othersPaidYou: 0,
+        youPaidOthers: 0,
         youNeedToPay: 0,
-        othersYetToPay: 0
+        othersYetToPay: 0,
+        byCurrency: {},
+        openShares: []
       });
     }
     
-    // Calculate the user's balance in this group
-    const { userOwes, userIsOwed } = calculateUserBalance(expenses, userId);
-    
-    // Calculate how much you paid
-    const youPaid = expenses.reduce((total, expense) => {
-      if (expense.paidBy._id.toString() === userId.toString()) {
-        return total + expense.amount;
-      }
-      return total;
-    }, 0);
-    
-    // Calculate how much others paid you (settled amounts)
-    let othersPaidYou = 0;
-    
-    // 1. Add amounts from expenses where others paid and you settled your share
-    const othersPaidYouSettled = expenses.filter(expense => 
-      expense.paidBy._id.toString() !== userId.toString() &&
-      expense.splits.some(split => 
-        split.user._id.toString() === userId.toString() && 
-        split.settled
-      )
-    ).reduce((total, expense) => {
-      const userSplit = expense.splits.find(split => 
-        split.user._id.toString() === userId.toString() && 
-        split.settled
-      );
-      return total + (userSplit?.share || 0);
-    }, 0);
-    
-    // 2. Add amounts from expenses where you paid and others settled their share to you
-    const youPaidOthersSettled = expenses.filter(expense => 
-      expense.paidBy._id.toString() === userId.toString()
-    ).reduce((total, expense) => {
-      // Sum up all settled splits by others
-      const settledAmount = expense.splits.reduce((sum, split) => {
-        if (split.user._id.toString() !== userId.toString() && split.settled) {
-          return sum + split.share;
-        }
-        return sum;
-      }, 0);
-      
-      return total + settledAmount;
-    }, 0);
-    
-    // Combined total of both scenarios
-    othersPaidYou = othersPaidYouSettled + youPaidOthersSettled;
-    
-    // Calculate how much others still owe you
-    const othersYetToPay = expenses.filter(expense => 
-      expense.paidBy._id.toString() === userId.toString()
-    ).reduce((total, expense) => {
-      // Sum up all unsettled splits by others
-      const unsettledAmount = expense.splits.reduce((sum, split) => {
-        if (split.user._id.toString() !== userId.toString() && !split.settled) {
-          return sum + split.share;
-        }
-        return sum;
-      }, 0);
-      
-      return total + unsettledAmount;
-    }, 0);
-    
-    // Calculate how much you need to pay
-    const youNeedToPay = expenses.filter(expense => 
-      expense.paidBy._id.toString() !== userId.toString()
-    ).reduce((total, expense) => {
-      // Find your unsettled share
-      const userSplit = expense.splits.find(split => 
-        split.user._id.toString() === userId.toString() && 
-        !split.settled
+    // Calculate the user's position in this group, crediting every payer of each expense
+    // and netting recorded payments. Totals are converted into the group's base currency
+    // using each expense's and payment's rate snapshot.
+    const {
+      yourShare,
+      youPaid,
+      othersPaidYou,
+      youPaidOthers,
+      youNeedToPay,
+      othersYetToPay,
+      byCurrency
+    } = calculateUserSummary(expenses, userId, settlements);
+    
+    // Totals are minor units; report them in major units of the base currency
+    const formatValue = (value) => fromMinorUnits(value, group.baseCurrency);
+    
+    // Per-currency totals, in each expense's own currency
+    const formattedByCurrency = {};
+    for (const [currency, totals] of Object.entries(byCurrency)) {
+      formattedByCurrency[currency] = Object.fromEntries(
+        Object.entries(totals).map(([key, value]) => [key, fromMinorUnits(value, currency)])
       );
-      
-      return total + (userSplit?.share || 0);
-    }, 0);
+    }
     
-    // Format all values to 2 decimal places
-    const formatValue = (value) => parseFloat(parseFloat(value).toFixed(2));
+    // Expenses where the user still owes part of their share, in each expense's own currency
+    const openShares = getOpenShares(expenses, userId).map(({ expense, owed, paid, remaining }) => ({
+      expense: { _id: expense._id, title: expense.title, date: expense.createdAt },
+      currency: expense.currency,
+      owed: fromMinorUnits(owed, expense.currency),
+      paid: fromMinorUnits(paid, expense.currency),
+      remaining: fromMinorUnits(remaining, expense.currency)
+    }));
     
     res.json({
-      yourShare: formatValue(userOwes),
+      currency: group.baseCurrency,
+      yourShare: formatValue(yourShare),
       youPaid: formatValue(youPaid),
       othersPaidYou: formatValue(othersPaidYou),
+      youPaidOthers: formatValue(youPaidOthers),
       youNeedToPay: formatValue(youNeedToPay),
-      othersYetToPay: formatValue(othersYetToPay)
+      othersYetToPay: formatValue(othersYetToPay),
+      byCurrency: formattedByCurrency,
+      openShares
     });
   } catch (error) {
     console.error('Get group balance summary error:', error);
@@ -676,6 +727,70 @@ const getGroupBalanceSummary = async (req, res) => {
   }
 };
 
+// @desc    Download the group's ledger: expenses, payments and final balances
+// @route   GET /api/groups/:id/export?format=csv|json|ofx
+// @access  Private
+const exportGroupLedger = async (req, res) => {
+  try {
+    // Repeated parameters arrive as arrays
+    const format = req.query.format || 'csv';
+    if (typeof format !== 'string' || !EXPORT_FORMATS.includes(format.toLowerCase())) {
+      return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    
+    // Check if user is a member of the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to access this group' });
+    }
+    
+    await streamGroupExport(res, group, req.user._id, format.toLowerCase());
+  } catch (error) {
+    console.error('Export group ledger error:', error);
+    // Once the download has started the only way to report a failure is to cut it short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get spending analytics for a group
+// @route   GET /api/groups/:id/analytics?interval=month&from=&to=&top=5&currency=
+// @access  Private
+const getGroupAnalytics = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+    
+    // Check if user is a member of the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to access this group' });
+    }
+    
+    let analytics;
+    try {
+      analytics = await buildGroupAnalytics(group, req.query);
+    } catch (analyticsError) {
+      if (analyticsError.statusCode) {
+        return res.status(analyticsError.statusCode).json({ message: analyticsError.message });
+      }
+      throw analyticsError;
+    }
+    
+    res.json(analytics);
+  } catch (error) {
+    console.error('Get group analytics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   createGroup,
   getUserGroups,
@@ -686,5 +801,8 @@ module.exports = {
   resendInvitation,
   verifyInviteToken,
   deleteGroup,
-  getGroupBalanceSummary
+  updateGroupSettings,
+  getGroupBalanceSummary,
+  exportGroupLedger,
+  getGroupAnalytics
 }; 
\ No newline at end of file
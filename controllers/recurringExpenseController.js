@@ -0,0 +1,382 @@
+const RecurringExpense = require('../models/RecurringExpense');
+const Group = require('../models/Group');
+const { buildExpenseSplits, buildExpensePayers } = require('../utils/expenseCalculator');
+const { getFirstOccurrence, pinRecurrenceDay } = require('../utils/recurringExpenses');
+const { resolveCategory } = require('../utils/categories');
+const { toMinorUnitPayload } = require('../utils/expenseService');
+
+const FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+// Allowed range of each optional recurrence field, as in the RecurringExpense schema
+const RECURRENCE_RANGES = {
+  dayOfWeek: [0, 6], // 0 = Sunday
+  dayOfMonth: [1, 31],
+  month: [0, 11] // 0 = January
+};
+
+/**
+ * Check a schedule's template and recurrence rule against the group.
+ * Returns an error message, or null when the schedule is valid.
+ */
+const validateSchedule = (group, schedule) => {
+  const { title, amount, splitType, recurrence } = schedule;
+
+  if (!title || !amount || !splitType || !recurrence || !recurrence.frequency) {
+    return 'Please provide title, amount, splitType and recurrence';
+  }
+
+  if (splitType === 'itemized') {
+    return 'Itemized expenses cannot be scheduled to recur';
+  }
+
+  if (!FREQUENCIES.includes(recurrence.frequency)) {
+    return `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+
+  if (recurrence.interval !== undefined &&
+      (!Number.isInteger(recurrence.interval) || recurrence.interval < 1)) {
+    return 'Recurrence interval must be a positive whole number';
+  }
+
+  for (const [field, [min, max]] of Object.entries(RECURRENCE_RANGES)) {
+    const value = recurrence[field];
+    if (value !== undefined && value !== null &&
+        (!Number.isInteger(value) || value < min || value > max)) {
+      return `Recurrence ${field} must be a whole number from ${min} to ${max}`;
+    }
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    const value = schedule[field];
+    if (value !== undefined && value !== null && isNaN(new Date(value).getTime())) {
+      return `Invalid ${field}`;
+    }
+  }
+
+  // Dry-run the split and payer calculation so bad templates fail now, not at run time.
+  // Templates keep major units like the request payload; the calculation uses minor units.
+  try {
+    const minor = toMinorUnitPayload({
+      amount,
+      splitType,
+      splits: schedule.splits,
+      payers: schedule.payers
+    }, schedule.currency || 'USD');
+    buildExpenseSplits(minor.amount, splitType, group.members, {
+      splits: minor.splits,
+      selectedMembers: schedule.selectedMembers
+    });
+    buildExpensePayers(minor.amount, group.members, minor.payers, schedule.createdBy);
+  } catch (error) {
+    return error.message;
+  }
+
+  return null;
+};
+
+/**
+ * Load a schedule and its group, checking the user may manage it (owner or group admin)
+ */
+const findManageableSchedule = async (req, res) => {
+  const schedule = await RecurringExpense.findById(req.params.id);
+  if (!schedule) {
+    res.status(404).json({ message: 'Recurring expense not found' });
+    return {};
+  }
+
+  const group = await Group.findById(schedule.groupId);
+  if (!group) {
+    res.status(404).json({ message: 'Group not found' });
+    return {};
+  }
+
+  const userId = req.user._id.toString();
+  if (schedule.createdBy.toString() !== userId && group.createdBy.toString() !== userId) {
+    res.status(403).json({ message: 'Not authorized to manage this recurring expense' });
+    return {};
+  }
+
+  return { schedule, group };
+};
+
+// @desc    Create a recurring expense schedule
+// @route   POST /api/recurring-expenses
+// @access  Private
+const createRecurringExpense = async (req, res) => {
+  try {
+    const {
+      groupId,
+      title,
+      amount,
+      currency = 'USD',
+      category,
+      notes,
+      splitType,
+      splits,
+      selectedMembers = [],
+      payers = [],
+      recurrence,
+      startDate,
+      endDate
+    } = req.body;
+
+    if (!groupId) {
+      return res.status(400).json({ message: 'Please provide all required fields' });
+    }
+
+    // Check if group exists
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user is in the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to add expenses to this group' });
+    }
+
+    const data = {
+      groupId,
+      createdBy: req.user._id,
+      title,
+      amount,
+      currency,
+      category: category || 'general',
+      notes,
+      splitType,
+      splits,
+      selectedMembers,
+      payers,
+      recurrence,
+      startDate: startDate ? new Date(startDate) : new Date(),
+      endDate: endDate ? new Date(endDate) : undefined
+    };
+
+    const validationMessage = validateSchedule(group, data);
+    if (validationMessage) {
+      return res.status(400).json({ message: validationMessage });
+    }
+
+    try {
+      data.category = (await resolveCategory(group._id, data.category)).key;
+    } catch (categoryError) {
+      return res.status(categoryError.statusCode || 500).json({ message: categoryError.message });
+    }
+
+    // "Monthly on day N" keeps day N even after a shorter month clamps an occurrence
+    data.recurrence = pinRecurrenceDay(recurrence, data.startDate);
+    data.nextOccurrence = getFirstOccurrence(data.recurrence, data.startDate);
+    if (data.endDate && data.nextOccurrence > data.endDate) {
+      return res.status(400).json({ message: 'The schedule ends before its first occurrence' });
+    }
+
+    const schedule = await RecurringExpense.create(data);
+
+    res.status(201).json(schedule);
+  } catch (error) {
+    console.error('Create recurring expense error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get recurring expense schedules for the user's groups
+// @route   GET /api/recurring-expenses
+// @access  Private
+const getRecurringExpenses = async (req, res) => {
+  try {
+    const { groupId } = req.query;
+
+    const userGroups = await Group.find({ members: req.user._id }).select('_id');
+    let groupIds = userGroups.map(group => group._id.toString());
+
+    if (groupId) {
+      if (!groupIds.includes(groupId)) {
+        return res.status(403).json({ message: 'Not authorized to view expenses for this group' });
+      }
+      groupIds = [groupId];
+    }
+
+    const schedules = await RecurringExpense.find({ groupId: { $in: groupIds } })
+      .populate('createdBy', 'name email')
+      .populate('groupId', 'name')
+      .sort({ nextOccurrence: 1 });
+
+    res.json(schedules);
+  } catch (error) {
+    console.error('Get recurring expenses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Update a recurring expense schedule
+// @route   PUT /api/recurring-expenses/:id
+// @access  Private
+const updateRecurringExpense = async (req, res) => {
+  try {
+    const { schedule, group } = await findManageableSchedule(req, res);
+    if (!schedule) return;
+
+    const editableFields = [
+      'title', 'amount', 'currency', 'category', 'notes', 'splitType',
+      'splits', 'selectedMembers', 'payers', 'recurrence', 'startDate', 'endDate'
+    ];
+
+    const updated = schedule.toObject();
+    for (const field of editableFields) {
+      if (req.body[field] !== undefined) {
+        updated[field] = req.body[field];
+      }
+    }
+
+    const validationMessage = validateSchedule(group, updated);
+    if (validationMessage) {
+      return res.status(400).json({ message: validationMessage });
+    }
+
+    if (updated.category !== schedule.category) {
+      try {
+        updated.category = (await resolveCategory(group._id, updated.category)).key;
+      } catch (categoryError) {
+        return res.status(categoryError.statusCode || 500).json({ message: categoryError.message });
+      }
+    }
+
+    for (const field of editableFields) {
+      if (req.body[field] !== undefined) {
+        schedule[field] = req.body[field];
+      }
+    }
+    schedule.category = updated.category;
+    if (req.body.recurrence !== undefined) {
+      schedule.recurrence = pinRecurrenceDay(req.body.recurrence, schedule.startDate);
+    }
+    if (req.body.splits !== undefined) {
+      schedule.markModified('splits');
+    }
+
+    // A new rule or start date restarts the schedule from today (or the start date)
+    if (req.body.recurrence !== undefined || req.body.startDate !== undefined) {
+      const from = new Date(Math.max(new Date(schedule.startDate).getTime(), Date.now()));
+      schedule.nextOccurrence = getFirstOccurrence(schedule.recurrence, from);
+    }
+
+    if (schedule.endDate && schedule.nextOccurrence && schedule.nextOccurrence > schedule.endDate) {
+      return res.status(400).json({ message: 'The schedule ends before its next occurrence' });
+    }
+
+    await schedule.save();
+
+    res.json(schedule);
+  } catch (error) {
+    console.error('Update recurring expense error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Pause a recurring expense schedule
+// @route   POST /api/recurring-expenses/:id/pause
+// @access  Private
+const pauseRecurringExpense = async (req, res) => {
+  try {
+    const { schedule } = await findManageableSchedule(req, res);
+    if (!schedule) return;
+
+    if (schedule.status !== 'active') {
+      return res.status(400).json({ message: `Recurring expense is already ${schedule.status}` });
+    }
+
+    schedule.status = 'paused';
+    await schedule.save();
+
+    res.json({ message: 'Recurring expense paused', schedule });
+  } catch (error) {
+    console.error('Pause recurring expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Resume a paused recurring expense schedule
+// @route   POST /api/recurring-expenses/:id/resume
+// @access  Private
+const resumeRecurringExpense = async (req, res) => {
+  try {
+    const { schedule } = await findManageableSchedule(req, res);
+    if (!schedule) return;
+
+    if (schedule.status !== 'paused') {
+      return res.status(400).json({ message: 'Only paused recurring expenses can be resumed' });
+    }
+
+    // Occurrences missed while paused are not created retroactively
+    const from = new Date(Math.max(new Date(schedule.startDate).getTime(), Date.now()));
+    schedule.nextOccurrence = getFirstOccurrence(schedule.recurrence, from);
+
+    if (schedule.endDate && schedule.nextOccurrence > schedule.endDate) {
+      return res.status(400).json({ message: 'The schedule has no occurrences left' });
+    }
+
+    schedule.status = 'active';
+    await schedule.save();
+
+    res.json({ message: 'Recurring expense resumed', schedule });
+  } catch (error) {
+    console.error('Resume recurring expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Skip a single occurrence of a recurring expense
+// @route   POST /api/recurring-expenses/:id/skip
+// @access  Private
+const skipRecurringExpenseOccurrence = async (req, res) => {
+  try {
+    const { schedule } = await findManageableSchedule(req, res);
+    if (!schedule) return;
+
+    // Default to skipping the next occurrence
+    const date = req.body.date ? new Date(req.body.date) : schedule.nextOccurrence;
+    if (!date || isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'Please provide a valid occurrence date to skip' });
+    }
+
+    if (date < new Date() && (!schedule.nextOccurrence || date < schedule.nextOccurrence)) {
+      return res.status(400).json({ message: 'Cannot skip an occurrence that has already happened' });
+    }
+
+    schedule.skippedDates.push(date);
+    await schedule.save();
+
+    res.json({ message: 'Occurrence skipped', skippedDate: date, schedule });
+  } catch (error) {
+    console.error('Skip recurring expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Delete a recurring expense schedule
+// @route   DELETE /api/recurring-expenses/:id
+// @access  Private
+const deleteRecurringExpense = async (req, res) => {
+  try {
+    const { schedule } = await findManageableSchedule(req, res);
+    if (!schedule) return;
+
+    // Expenses already created from the schedule are kept
+    await RecurringExpense.findByIdAndDelete(schedule._id);
+
+    res.json({ message: 'Recurring expense deleted successfully' });
+  } catch (error) {
+    console.error('Delete recurring expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  createRecurringExpense,
+  getRecurringExpenses,
+  updateRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  skipRecurringExpenseOccurrence,
+  deleteRecurringExpense
+};
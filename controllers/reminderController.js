@@ -0,0 +1,119 @@
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const { getSplitBalance, isExpensePayer } = require('../utils/expenseCalculator');
+const { findExpenseForMember } = require('../utils/expenseService');
+const { isExpenseCounted } = require('../utils/expenseConfirmation');
+const { loadOutstandingDebts, sendReminder } = require('../utils/reminders');
+const { REMINDER_MANUAL_COOLDOWN } = require('../config/constants');
+
+// @desc    Remind participants who still owe you for an expense
+// @route   POST /api/expenses/:id/remind
+// @access  Private
+const remindExpense = async (req, res) => {
+  try {
+    const { userId } = req.body; // Optional: remind only this participant
+    const requesterId = req.user._id.toString();
+
+    const { expense, group } = await findExpenseForMember(req, res);
+    if (!expense) return;
+
+    if (!isExpensePayer(expense, req.user._id)) {
+      return res.status(403).json({ message: 'Only a payer of the expense can send payment reminders' });
+    }
+
+    if (!isExpenseCounted(expense, group)) {
+      return res.status(400).json({ message: group.requireConfirmation
+        ? 'Payment reminders can only be sent once every participant has confirmed the expense'
+        : 'Payment reminders cannot be sent while the expense is disputed' });
+    }
+
+    // Participants who still owe the current user part of their share, and still owe
+    // them once payments made outside the expense (such as the settle-up plan) are netted in
+    const owes = await loadOutstandingDebts(group, expense.currency);
+    let debtors = expense.splits
+      .map(split => ({ userId: split.user.toString(), ...getSplitBalance(expense, split.user) }))
+      .filter(debtor => debtor.userId !== requesterId && (debtor.byPayer[requesterId] || 0) > 0 &&
+        owes(debtor.userId, requesterId));
+
+    if (userId) {
+      debtors = debtors.filter(debtor => debtor.userId === userId.toString());
+      if (debtors.length === 0) {
+        return res.status(400).json({ message: 'This user does not owe you anything for this expense' });
+      }
+    } else if (debtors.length === 0) {
+      return res.status(400).json({ message: 'Nobody owes you anything for this expense' });
+    }
+
+    // Skip anyone who was reminded about this expense recently, by anyone
+    const now = Date.now();
+    const recent = await Reminder.find({
+      expenseId: expense._id,
+      debtor: { $in: debtors.map(debtor => debtor.userId) },
+      createdAt: { $gt: new Date(now - REMINDER_MANUAL_COOLDOWN) }
+    }).sort({ createdAt: -1 });
+
+    const skipped = [];
+    const targets = debtors.filter(debtor => {
+      const last = recent.find(reminder => reminder.debtor.toString() === debtor.userId);
+      if (!last) return true;
+      skipped.push({
+        user: debtor.userId,
+        retryAfter: new Date(last.createdAt.getTime() + REMINDER_MANUAL_COOLDOWN)
+      });
+      return false;
+    });
+
+    if (targets.length === 0) {
+      const retryAt = Math.min(...skipped.map(skip => skip.retryAfter.getTime()));
+      res.set('Retry-After', String(Math.ceil((retryAt - now) / 1000)));
+      return res.status(429).json({
+        message: skipped.length === 1
+          ? 'This user was reminded about this expense recently. Please try again later'
+          : 'Everyone who owes you was reminded about this expense recently. Please try again later',
+        skipped
+      });
+    }
+
+    const users = await User.find({ _id: { $in: targets.map(target => target.userId) } }).select('name email');
+    const reminders = [];
+    for (const user of users) {
+      const target = targets.find(candidate => candidate.userId === user._id.toString());
+      reminders.push(await sendReminder(expense, user, target.byPayer[requesterId], { sender: req.user }));
+    }
+
+    res.status(201).json({
+      message: `Reminder sent to ${reminders.length} participant${reminders.length === 1 ? '' : 's'}`,
+      reminders,
+      skipped
+    });
+  } catch (error) {
+    console.error('Remind expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the payment reminders sent for an expense
+// @route   GET /api/expenses/:id/reminders
+// @access  Private
+const getExpenseReminders = async (req, res) => {
+  try {
+    const { expense } = await findExpenseForMember(req, res);
+    if (!expense) return;
+
+    // Newest first
+    const reminders = await Reminder.find({ expenseId: expense._id })
+      .populate('debtor', 'name email')
+      .populate('sentBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(reminders);
+  } catch (error) {
+    console.error('Get expense reminders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  remindExpense,
+  getExpenseReminders
+};
@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Settlement = require('../models/Settlement');
+const Expense = require('../models/Expense');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { buildSettlement, recordSettlement } = require('../utils/settlements');
+const { calculateGroupBalances } = require('../utils/expenseCalculator');
+const { STRATEGIES } = require('../utils/debtSimplification');
+const { getCountedExpenseFilter } = require('../utils/expenseConfirmation');
+const { fromMinorUnits, formatMinorUnits } = require('../utils/money');
+
+/**
+ * Work out each member's net balance and the transfers that settle the group,
+ * netting the payments already recorded. Amounts are minor units of the group's base currency.
+ */
+const buildSettlePlan = async (group, strategy) => {
+  const expenses = await Expense.find({ groupId: group._id, deletedAt: null, ...getCountedExpenseFilter(group) });
+  const settlements = await Settlement.find({ groupId: group._id });
+
+  const { balances, transactions } = calculateGroupBalances(expenses, group.members, settlements, strategy);
+
+  return { balances, transactions };
+};
+
+/**
+ * Notify the members on both ends of a payment, except the user who recorded or removed it
+ */
+const notifySettlementMembers = async (settlement, actorId, message) => {
+  const memberIds = [settlement.from.toString(), settlement.to.toString()]
+    .filter(memberId => memberId !== actorId.toString());
+
+  await Promise.all(memberIds.map(memberId =>
+    Notification.create({
+      userId: memberId,
+      message,
+      relatedResource: {
+        resourceType: 'settlement',
+        resourceId: settlement._id
+      }
+    })
+  ));
+};
+
+// @desc    Get the payments recorded between members of a group
+// @route   GET /api/groups/:id/settlements?user=
+// @access  Private
+const getGroupSettlements = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user is a member of the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to access this group' });
+    }
+
+    // Optionally only the payments a member made or received
+    const filter = { groupId: group._id };
+    if (req.query.user) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.user)) {
+        return res.status(400).json({ message: 'Invalid user ID' });
+      }
+      filter.$or = [{ from: req.query.user }, { to: req.query.user }];
+    }
+
+    const settlements = await Settlement.find(filter)
+      .populate('from', 'name email')
+      .populate('to', 'name email')
+      .populate('createdBy', 'name email')
+      .sort({ date: -1 });
+
+    res.json(settlements);
+  } catch (error) {
+    console.error('Get group settlements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Record a payment from one member to another
+// @route   POST /api/groups/:id/settlements
+// @access  Private
+const createSettlement = async (req, res) => {
+  try {
+    const { to, amount, currency, date, method, note } = req.body;
+    const from = req.body.from || req.user._id.toString(); // Defaults to the current user paying
+
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user is a member of the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to record payments in this group' });
+    }
+
+    // Members record payments they made or received; the group admin can record any
+    const userId = req.user._id.toString();
+    if (from.toString() !== userId && (!to || to.toString() !== userId) &&
+        group.createdBy.toString() !== userId) {
+      return res.status(403).json({ message: 'You can only record payments you made or received' });
+    }
+
+    let settlement;
+    try {
+      settlement = await recordSettlement(group, { from, to, amount, currency, date, method, note }, req.user._id);
+    } catch (settlementError) {
+      if (settlementError.statusCode) {
+        return res.status(settlementError.statusCode).json({ message: settlementError.message });
+      }
+      throw settlementError;
+    }
+
+    await notifySettlementMembers(
+      settlement,
+      req.user._id,
+      `${req.user.name} recorded a payment of ${settlement.currency} ` +
+        `${formatMinorUnits(settlement.amount, settlement.currency)} ` +
+        `in group "${group.name}"`
+    );
+
+    res.status(201).json(settlement);
+  } catch (error) {
+    console.error('Create settlement error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a recorded payment
+// @route   DELETE /api/groups/:id/settlements/:settlementId
+// @access  Private
+const deleteSettlement = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const settlement = await Settlement.findOne({ _id: req.params.settlementId, groupId: group._id });
+    if (!settlement) {
+      return res.status(404).json({ message: 'Settlement not found' });
+    }
+
+    // Check if user recorded the payment or is the group admin
+    const userId = req.user._id.toString();
+    if (settlement.createdBy.toString() !== userId && group.createdBy.toString() !== userId) {
+      return res.status(403).json({ message: 'Not authorized to delete this settlement' });
+    }
+
+    await settlement.deleteOne();
+
+    // A payment recorded against an expense split comes off what was paid and reopens the split
+    if (settlement.expenseId) {
+      const expense = await Expense.findById(settlement.expenseId);
+      const split = expense && expense.splits.find(
+        candidate => candidate.user.toString() === settlement.from.toString()
+      );
+
+      if (split) {
+        split.payments = split.payments.filter(payment =>
+          !payment.settlementId || payment.settlementId.toString() !== settlement._id.toString()
+        );
+        split.paidAmount = split.payments.reduce((sum, payment) => sum + payment.amount, 0);
+        split.settled = false;
+        split.settledAt = undefined;
+        await expense.save();
+      }
+    }
+
+    await notifySettlementMembers(
+      settlement,
+      req.user._id,
+      `${req.user.name} removed a payment of ${settlement.currency} ` +
+        `${formatMinorUnits(settlement.amount, settlement.currency)} ` +
+        `in group "${group.name}"`
+    );
+
+    res.json({ message: 'Settlement deleted successfully' });
+  } catch (error) {
+    console.error('Delete settlement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get each member's net balance and the transfers that settle up the group
+// @route   GET /api/groups/:id/settle-plan?strategy=none|greedy|optimal
+// @access  Private
+const getSettlePlan = async (req, res) => {
+  try {
+    // The group's setting unless the request asks for another strategy
+    const { strategy } = req.query;
+    if (strategy && !STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ message: `Strategy must be one of: ${STRATEGIES.join(', ')}` });
+    }
+
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user is a member of the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to access this group' });
+    }
+
+    const planStrategy = strategy || group.debtSimplification || 'greedy';
+    const { balances, transactions } = await buildSettlePlan(group, planStrategy);
+
+    // Look up member names for the balances and transfers
+    const users = await User.find({ _id: { $in: Object.keys(balances) } }).select('name email');
+    const usersById = Object.fromEntries(users.map(user => [user._id.toString(), user]));
+    const describe = (userId) => usersById[userId] || { _id: userId };
+
+    const currency = group.baseCurrency || 'USD';
+    res.json({
+      currency,
+      strategy: planStrategy,
+      balances: Object.entries(balances).map(([userId, balance]) => ({
+        user: describe(userId),
+        balance: fromMinorUnits(balance, currency)
+      })),
+      transfers: transactions.map(transaction => ({
+        from: describe(transaction.from),
+        to: describe(transaction.to),
+        amount: fromMinorUnits(transaction.amount, currency)
+      }))
+    });
+  } catch (error) {
+    console.error('Get settle plan error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Record the whole settle-up plan, or one transfer of it, as paid
+// @route   POST /api/groups/:id/settle-plan
+// @access  Private
+const recordSettlePlan = async (req, res) => {
+  try {
+    const { from, to, method = 'other', note, strategy } = req.body; // from/to pick a single transfer
+
+    if (strategy && !STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ message: `Strategy must be one of: ${STRATEGIES.join(', ')}` });
+    }
+
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Check if user is a member of the group
+    if (!group.members.includes(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to record payments in this group' });
+    }
+
+    // The plan is recalculated here so it always matches the current balances
+    const { transactions } = await buildSettlePlan(group, strategy || group.debtSimplification || 'greedy');
+
+    const userId = req.user._id.toString();
+    const isAdmin = group.createdBy.toString() === userId;
+    let transfers = transactions;
+
+    if (from || to) {
+      transfers = transactions.filter(transaction =>
+        transaction.from === String(from) && transaction.to === String(to)
+      );
+      if (transfers.length === 0) {
+        return res.status(404).json({ message: 'No such transfer in the current settle-up plan' });
+      }
+
+      // Members record transfers they make or receive; the group admin can record any
+      if (!isAdmin && String(from) !== userId && String(to) !== userId) {
+        return res.status(403).json({ message: 'You can only record payments you made or received' });
+      }
+    } else if (!isAdmin) {
+      return res.status(403).json({ message: 'Only the group admin can settle the whole group at once' });
+    }
+
+    if (transfers.length === 0) {
+      return res.status(400).json({ message: 'The group is already settled up' });
+    }
+
+    // Validate every transfer before recording any, so a bad one can't leave the plan
+    // half recorded. Plan amounts are in the base currency, so the rate is 1
+    const docs = [];
+    for (const transfer of transfers) {
+      try {
+        docs.push(await buildSettlement(group, {
+          from: transfer.from,
+          to: transfer.to,
+          amount: fromMinorUnits(transfer.amount, group.baseCurrency || 'USD'),
+          currency: group.baseCurrency || 'USD',
+          method,
+          note: note || 'Settle up'
+        }, req.user._id, 1));
+      } catch (settlementError) {
+        if (settlementError.statusCode) {
+          return res.status(settlementError.statusCode).json({ message: settlementError.message });
+        }
+        throw settlementError;
+      }
+    }
+
+    const settlements = await Settlement.insertMany(docs);
+
+    await Promise.all(settlements.map(settlement =>
+      notifySettlementMembers(
+        settlement,
+        req.user._id,
+        `${req.user.name} recorded a settle-up payment of ${settlement.currency} ` +
+          `${formatMinorUnits(settlement.amount, settlement.currency)} in group "${group.name}"`
+      )
+    ));
+
+    res.status(201).json({
+      message: settlements.length === 1 ? 'Transfer recorded as settled' : 'Settle-up plan recorded as settled',
+      settlements
+    });
+  } catch (error) {
+    console.error('Record settle plan error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getGroupSettlements,
+  createSettlement,
+  deleteSettlement,
+  getSettlePlan,
+  recordSettlePlan
+};
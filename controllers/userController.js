@@ -1,15 +1,132 @@
 const User = require('../models/User');
 const Group = require('../models/Group');
 const Expense = require('../models/Expense');
-const { calculateUserBalance } = require('../utils/expenseCalculator');
+const Settlement = require('../models/Settlement');
+const mongoose = require('mongoose');
+const {
+  calculateUserSummary,
+  calculateCounterpartyBalances,
+  getOpenShares
+} = require('../utils/expenseCalculator');
+const { getExchangeRate } = require('../utils/currencyConverter');
+const { httpError } = require('../utils/expenseService');
+const { getCountedExpenseFilter } = require('../utils/expenseConfirmation');
+const { convertMinorUnits, fromMinorUnits } = require('../utils/money');
+const { buildMonthlyStatement, renderStatement } = require('../utils/statements');
+const { toMonth } = require('../utils/categories');
+const { getUserAnalytics: buildUserAnalytics } = require('../utils/analytics');
+
+/**
+ * Load the expenses and settlements a user's balances are built from: one set per
+ * group, plus one per currency for direct expenses and IOUs, which have no group and
+ * are kept in their own currency. `group` is null for the direct sets.
+ */
+const loadBalanceSets = async (userId, groups) => {
+  const sets = [];
+
+  for (const group of groups) {
+    const expenses = await Expense.find({ groupId: group._id, deletedAt: null, ...getCountedExpenseFilter(group) });
+    const settlements = await Settlement.find({ groupId: group._id });
+    sets.push({ group, baseCurrency: group.baseCurrency || 'USD', expenses, settlements });
+  }
+
+  const directExpenses = await Expense.find({ groupId: null, members: userId, deletedAt: null });
+  const directSettlements = await Settlement.find({
+    groupId: null,
+    $or: [{ from: userId }, { to: userId }]
+  });
+
+  const currencies = new Set([...directExpenses, ...directSettlements].map(doc => doc.currency));
+  for (const currency of currencies) {
+    sets.push({
+      group: null,
+      baseCurrency: currency,
+      expenses: directExpenses.filter(expense => expense.currency === currency),
+      settlements: directSettlements.filter(settlement => settlement.currency === currency)
+    });
+  }
+
+  return sets;
+};
+
+/**
+ * Create a cached lookup of today's rate from a base currency into `currency`
+ */
+const createRateLookup = (currency) => {
+  const rateCache = {};
+  return async (baseCurrency) => {
+    if (rateCache[baseCurrency] === undefined) {
+      try {
+        rateCache[baseCurrency] = await getExchangeRate(baseCurrency, currency);
+      } catch (rateError) {
+        throw httpError(503, `Could not convert ${baseCurrency} to ${currency}`);
+      }
+    }
+    return rateCache[baseCurrency];
+  };
+};
+
+/**
+ * Work out what every other user owes the user (positive) or is owed by them
+ * (negative) in each group they belong to and in their direct expenses. Amounts are
+ * in minor units of each set's base currency; `balance` is also converted into
+ * `currency` at today's rate. Returns user ID -> array of
+ * { group, baseCurrency, baseBalance, balance, expenses, settlements }.
+ */
+const loadCounterpartyBalances = async (userId, currency) => {
+  const groups = await Group.find({ members: userId }).select('name baseCurrency requireConfirmation excludeDisputedExpenses');
+  const getRate = createRateLookup(currency);
+  const byCounterparty = {};
+
+  for (const { group, baseCurrency, expenses, settlements } of await loadBalanceSets(userId, groups)) {
+    const counterparties = calculateCounterpartyBalances(expenses, userId, settlements);
+    if (Object.keys(counterparties).length === 0) continue;
+
+    const rate = await getRate(baseCurrency);
+
+    for (const [memberId, counterparty] of Object.entries(counterparties)) {
+      byCounterparty[memberId] = byCounterparty[memberId] || [];
+      byCounterparty[memberId].push({
+        group,
+        baseCurrency,
+        baseBalance: counterparty.balance,
+        balance: convertMinorUnits(counterparty.balance, baseCurrency, currency, rate),
+        expenses: counterparty.expenses,
+        settlements: counterparty.settlements
+      });
+    }
+  }
+
+  return byCounterparty;
+};
+
+/**
+ * Read and check the ?currency= totals are reported in
+ */
+const getReportCurrency = (req) => {
+  // Repeated parameters arrive as arrays
+  const currency = req.query.currency || 'USD';
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/i.test(currency)) {
+    throw httpError(400, 'Invalid currency code');
+  }
+  return currency.toUpperCase();
+};
 
 // @desc    Get user statistics
-// @route   GET /api/users/stats
+// @route   GET /api/users/stats?currency=USD
 // @access  Private
 const getUserStats = async (req, res) => {
   try {
     const userId = req.user._id;
     
+    // Groups can have different base currencies, so totals are reported in one currency
+    let currency;
+    try {
+      currency = getReportCurrency(req);
+    } catch (currencyError) {
+      return res.status(currencyError.statusCode || 500).json({ message: currencyError.message });
+    }
+    
     // Get user with populated groups
     const user = await User.findById(userId).populate('groups');
     
@@ -22,8 +139,10 @@ const getUserStats = async (req, res) => {
     
     // Get all expenses for the user (where they are either the payer or involved in splits)
     const expenses = await Expense.find({
+      deletedAt: null,
       $or: [
         { paidBy: userId },
+        { 'payers.user': userId },
         { 'splits.user': userId }
       ]
     });
@@ -35,94 +154,73 @@ const getUserStats = async (req, res) => {
     let totalYourShare = 0;
     let totalYouPaid = 0;
     let totalOthersPaidYou = 0;
+    let totalYouPaidOthers = 0;
     let totalYouNeedToPay = 0;
     let totalOthersYetToPay = 0;
+    let openShares = 0; // expenses where the user still owes part of their share
+    const byCurrency = {};
+    const getRate = createRateLookup(currency);
     
-    // Process all groups to calculate detailed balances
-    for (const group of user.groups) {
-      // Get all expenses for this group
-      const groupExpenses = await Expense.find({ groupId: group._id })
-        .populate('paidBy', 'name email')
-        .populate('splits.user', 'name email');
+    // Process all groups, and direct expenses per currency, to calculate detailed balances.
+    // Payments recorded between members are netted against the expense debts.
+    for (const { baseCurrency, expenses: setExpenses, settlements } of await loadBalanceSets(userId, user.groups)) {
+      if (setExpenses.length === 0 && settlements.length === 0) continue;
       
-      if (groupExpenses.length === 0) continue;
+      // Calculate the user's position in this group, crediting every payer of each expense.
+      // The summary is in the group's base currency and is converted at today's rate.
+      const summary = calculateUserSummary(setExpenses, userId, settlements);
+      openShares += getOpenShares(setExpenses, userId).length;
       
-      // Calculate basic user balance in this group
-      const { userOwes, userIsOwed } = calculateUserBalance(groupExpenses, userId);
+      let rate;
+      try {
+        rate = await getRate(baseCurrency);
+      } catch (rateError) {
+        return res.status(rateError.statusCode || 500).json({ message: rateError.message });
+      }
+      const toTotal = (value) => convertMinorUnits(value, baseCurrency, currency, rate);
       
-      // Add to the your share total
-      totalYourShare += userOwes;
+      totalYourShare += toTotal(summary.yourShare);
+      totalYouPaid += toTotal(summary.youPaid);
+      totalOthersPaidYou += toTotal(summary.othersPaidYou);
+      totalYouPaidOthers += toTotal(summary.youPaidOthers);
+      totalOthersYetToPay += toTotal(summary.othersYetToPay);
+      totalYouNeedToPay += toTotal(summary.youNeedToPay);
       
-      // Calculate how much you paid in this group
-      const youPaid = groupExpenses.reduce((total, expense) => {
-        if (expense.paidBy._id.toString() === userId.toString()) {
-          return total + expense.amount;
+      // Per-currency breakdown, in each expense's own currency
+      for (const [expenseCurrency, totals] of Object.entries(summary.byCurrency)) {
+        byCurrency[expenseCurrency] = byCurrency[expenseCurrency] || {};
+        for (const [key, value] of Object.entries(totals)) {
+          byCurrency[expenseCurrency][key] = (byCurrency[expenseCurrency][key] || 0) + value;
         }
-        return total;
-      }, 0);
-      totalYouPaid += youPaid;
-      
-      totalOthersPaidYou = groupExpenses.filter(expense => 
-        expense.paidBy._id.toString() === userId.toString() &&
-        expense.splits.some(split => 
-          split.user._id.toString() !== userId.toString() && 
-          split.settled
-        )
-      ).reduce((total, expense) => {
-        const userSplit = expense.splits.find(split => 
-          split.user._id.toString() !== userId.toString() && 
-          split.settled
-        );
-        return total + (userSplit?.share || 0);
-      }, 0);
-      
-      // Calculate how much others still owe you in this group
-      const othersYetToPay = groupExpenses.filter(expense => 
-        expense.paidBy._id.toString() === userId.toString()
-      ).reduce((total, expense) => {
-        // Sum up all unsettled splits by others
-        const unsettledAmount = expense.splits.reduce((sum, split) => {
-          if (split.user._id.toString() !== userId.toString() && !split.settled) {
-            return sum + split.share;
-          }
-          return sum;
-        }, 0);
-        
-        return total + unsettledAmount;
-      }, 0);
-      totalOthersYetToPay += othersYetToPay;
-      
-      // Calculate how much you need to pay in this group
-      const youNeedToPay = groupExpenses.filter(expense => 
-        expense.paidBy._id.toString() !== userId.toString()
-      ).reduce((total, expense) => {
-        // Find your unsettled share
-        const userSplit = expense.splits.find(split => 
-          split.user._id.toString() === userId.toString() && 
-          !split.settled
-        );
-        
-        return total + (userSplit?.share || 0);
-      }, 0);
-      totalYouNeedToPay += youNeedToPay;
+      }
     }
     
     // Calculate overall balance (positive means user is owed money, negative means user owes money)
     const overallBalance = totalOthersYetToPay - totalYouNeedToPay;
     
-    // Format all values to 2 decimal places
-    const formatValue = (value) => parseFloat(parseFloat(value).toFixed(2));
+    // Totals are minor units; report them in major units
+    const formatValue = (value) => fromMinorUnits(value, currency);
+    
+    for (const [expenseCurrency, totals] of Object.entries(byCurrency)) {
+      for (const key of Object.keys(totals)) {
+        totals[key] = fromMinorUnits(totals[key], expenseCurrency);
+      }
+    }
     
     res.json({
+      currency,
       totalGroups,
       totalExpenses,
       totalOwed: formatValue(totalOthersYetToPay),
       totalOwing: formatValue(totalYourShare),
       totalPaid: formatValue(totalYouPaid),
       othersPaidYou: formatValue(totalOthersPaidYou),
+      youPaidOthers: formatValue(totalYouPaidOthers),
       youNeedToPay: formatValue(totalYouNeedToPay),
       othersYetToPay: formatValue(totalOthersYetToPay),
-      overallBalance: formatValue(overallBalance)
+      overallBalance: formatValue(overallBalance),
+      openShares,
+      byCurrency
     });
   } catch (error) {
     console.error('Get user stats error:', error);
@@ -130,6 +228,182 @@ const getUserStats = async (req, res) => {
   }
 };
 
+// @desc    Get what each other user owes you, or you owe them, across all your groups
+// @route   GET /api/users/balances?currency=USD
+// @access  Private
+const getUserBalances = async (req, res) => {
+  try {
+    let currency;
+    let byCounterparty;
+    try {
+      currency = getReportCurrency(req);
+      byCounterparty = await loadCounterpartyBalances(req.user._id, currency);
+    } catch (balanceError) {
+      if (balanceError.statusCode) {
+        return res.status(balanceError.statusCode).json({ message: balanceError.message });
+      }
+      throw balanceError;
+    }
+    
+    const users = await User.find({ _id: { $in: Object.keys(byCounterparty) } }).select('name email');
+    const usersById = Object.fromEntries(users.map(user => [user._id.toString(), user]));
+    
+    // Positive balances are owed to you, negative ones you owe
+    const balances = Object.entries(byCounterparty)
+      .map(([userId, groups]) => ({
+        user: usersById[userId] || { _id: userId },
+        balance: groups.reduce((sum, group) => sum + group.balance, 0),
+        groups: groups.length
+      }))
+      .sort((a, b) => Math.abs(b.balance) - Math.abs(a.balance));
+    
+    const totalOwed = balances.reduce((sum, entry) => sum + Math.max(entry.balance, 0), 0);
+    const totalOwing = balances.reduce((sum, entry) => sum + Math.max(-entry.balance, 0), 0);
+    
+    res.json({
+      currency,
+      totalOwed: fromMinorUnits(totalOwed, currency),
+      totalOwing: fromMinorUnits(totalOwing, currency),
+      balances: balances.map(entry => ({ ...entry, balance: fromMinorUnits(entry.balance, currency) }))
+    });
+  } catch (error) {
+    console.error('Get user balances error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get your balance with one user, broken down by group and expense
+// @route   GET /api/users/balances/:userId?currency=USD
+// @access  Private
+const getUserBalanceWith = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Choose another user to compare balances with' });
+    }
+    
+    const otherUser = await User.findById(userId).select('name email');
+    if (!otherUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    let currency;
+    let byCounterparty;
+    try {
+      currency = getReportCurrency(req);
+      byCounterparty = await loadCounterpartyBalances(req.user._id, currency);
+    } catch (balanceError) {
+      if (balanceError.statusCode) {
+        return res.status(balanceError.statusCode).json({ message: balanceError.message });
+      }
+      throw balanceError;
+    }
+    
+    const groups = byCounterparty[userId] || [];
+    const balance = groups.reduce((sum, group) => sum + group.balance, 0);
+    
+    // Positive amounts are owed to you, negative ones you owe
+    res.json({
+      currency,
+      user: otherUser,
+      balance: fromMinorUnits(balance, currency),
+      groups: groups.map(entry => ({
+        group: entry.group && { _id: entry.group._id, name: entry.group.name }, // null for direct expenses
+        baseCurrency: entry.baseCurrency,
+        baseBalance: fromMinorUnits(entry.baseBalance, entry.baseCurrency),
+        balance: fromMinorUnits(entry.balance, currency),
+        expenses: entry.expenses.map(({ expense, amount, originalAmount }) => ({
+          _id: expense._id,
+          title: expense.title,
+          category: expense.category,
+          createdAt: expense.createdAt,
+          currency: expense.currency,
+          amount: fromMinorUnits(originalAmount, expense.currency),
+          baseAmount: fromMinorUnits(amount, entry.baseCurrency)
+        })),
+        settlements: entry.settlements.map(({ settlement, amount }) => ({
+          _id: settlement._id,
+          date: settlement.date,
+          method: settlement.method,
+          note: settlement.note,
+          currency: settlement.currency,
+          amount: Math.sign(amount) * fromMinorUnits(settlement.amount, settlement.currency),
+          baseAmount: fromMinorUnits(amount, entry.baseCurrency)
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Get user balance error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Preview your monthly statement email for a past month (or this month so far)
+// @route   GET /api/users/statements/:month?format=json|html|text
+// @access  Private
+const getMonthlyStatement = async (req, res) => {
+  try {
+    const { month } = req.params;
+    const format = req.query.format || 'json';
+    
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ message: 'Month must be in YYYY-MM format' });
+    }
+    if (month > toMonth()) {
+      return res.status(400).json({ message: 'Statements are only available for past months' });
+    }
+    if (!['json', 'html', 'text'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be json, html or text' });
+    }
+    
+    const statement = await buildMonthlyStatement(req.user, month);
+    const email = renderStatement(statement);
+    
+    if (format === 'html') {
+      return res.type('html').send(email.html);
+    }
+    if (format === 'text') {
+      return res.type('text').send(email.text);
+    }
+    
+    res.json({ ...statement, subject: email.subject });
+  } catch (error) {
+    console.error('Get monthly statement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get spending analytics for your share of expenses across all your groups
+// @route   GET /api/users/analytics?interval=month&from=&to=&top=5&currency=USD
+// @access  Private
+const getUserAnalytics = async (req, res) => {
+  try {
+    let analytics;
+    try {
+      analytics = await buildUserAnalytics(req.user._id, req.query);
+    } catch (analyticsError) {
+      if (analyticsError.statusCode) {
+        return res.status(analyticsError.statusCode).json({ message: analyticsError.message });
+      }
+      throw analyticsError;
+    }
+    
+    res.json(analytics);
+  } catch (error) {
+    console.error('Get user analytics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
-  getUserStats
+  getUserStats,
+  getUserBalances,
+  getUserBalanceWith,
+  getMonthlyStatement,
+  getUserAnalytics
 }; 
\ No newline at end of file
@@ -14,7 +14,7 @@ connectDB();
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Next-Cursor'] }));
 app.use(express.json());
 
 // Log requests
@@ -30,6 +30,8 @@ const groupRoutes = require('../routes/groupRoutes');
 const expenseRoutes = require('../routes/expenseRoutes');
 const notificationRoutes = require('../routes/notificationRoutes');
 const invitationRoutes = require('../routes/invitationRoutes');
+const recurringExpenseRoutes = require('../routes/recurringExpenseRoutes');
+const exchangeRateRoutes = require('../routes/exchangeRateRoutes');
 
 // Mount routes
 app.use('/api/auth', authRoutes);
@@ -38,6 +40,8 @@ app.use('/api/groups', groupRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/invitations', invitationRoutes);
+app.use('/api/recurring-expenses', recurringExpenseRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 
 // Basic route for testing
 app.get('/', (req, res) => {
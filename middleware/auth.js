@@ -35,4 +35,13 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect }; 
\ No newline at end of file
+// Only allow admins through; use after protect
+const admin = (req, res, next) => {
+  if (req.user && req.user.role === 'admin') {
+    return next();
+  }
+
+  res.status(403).json({ message: 'Not authorized as an admin' });
+};
+
+module.exports = { protect, admin }; 
\ No newline at end of file
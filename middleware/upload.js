@@ -0,0 +1,48 @@
+const multer = require('multer');
+const {
+  ATTACHMENT_MAX_SIZE,
+  ATTACHMENT_ALLOWED_TYPES,
+  IMPORT_MAX_SIZE,
+  IMPORT_ALLOWED_TYPES
+} = require('../config/constants');
+
+// Files are kept in memory until the controller hands them to the storage backend
+const createUpload = (maxSize, allowedTypes) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!allowedTypes.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single file in the given field, turning upload errors into 400 responses
+const createSingleUpload = (maxSize, allowedTypes) => {
+  const upload = createUpload(maxSize, allowedTypes);
+
+  return (fieldName) => (req, res, next) => {
+    upload.single(fieldName)(req, res, (err) => {
+      if (!err) return next();
+
+      if (err instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `File is too large (max ${Math.round(maxSize / (1024 * 1024))} MB)`,
+          LIMIT_UNEXPECTED_FILE: `Only ${allowedTypes.join(', ')} files are allowed in "${fieldName}"`
+        };
+        return res.status(400).json({ message: messages[err.code] || err.message });
+      }
+
+      next(err);
+    });
+  };
+};
+
+// Expense attachments: receipt photos and PDFs
+const uploadSingle = createSingleUpload(ATTACHMENT_MAX_SIZE, ATTACHMENT_ALLOWED_TYPES);
+
+// CSV files for expense imports
+const uploadCsv = createSingleUpload(IMPORT_MAX_SIZE, IMPORT_ALLOWED_TYPES);
+
+module.exports = { uploadSingle, uploadCsv };
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+const categorySchema = new mongoose.Schema(
+  {
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    name: { type: String, required: true, trim: true },
+    key: { type: String, required: true }, // normalized name stored on expenses, e.g. "eating out"
+    icon: { type: String },
+    color: { type: String, match: /^#[0-9a-fA-F]{6}$/ },
+    isDefault: { type: Boolean, default: false }, // one of the built-in categories
+    archived: { type: Boolean, default: false }, // hidden and not usable for new expenses
+    archivedAt: { type: Date },
+    monthlyBudget: { type: Number, min: 0 }, // in the group's base currency
+    // Budget thresholds already notified, so members hear about each one once a month
+    budgetAlerts: [
+      {
+        month: { type: String, required: true }, // YYYY-MM
+        threshold: { type: Number, required: true } // percent of the budget
+      }
+    ],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  {
+    timestamps: true
+  }
+);
+
+categorySchema.index({ groupId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    base: { type: String, required: true, uppercase: true },
+    date: { type: String, required: true }, // day the rates apply to, YYYY-MM-DD (UTC)
+    source: { type: String, required: true }, // provider name: 'http', 'file' or 'manual'
+    rates: { type: Map, of: Number, required: true }, // currency code -> units per 1 base
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // admin who entered manual rates
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One set of rates per base currency, day and source
+exchangeRateSchema.index({ base: 1, date: -1, source: 1 }, { unique: true });
+
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema);
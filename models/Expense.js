@@ -1,26 +1,125 @@
 const mongoose = require("mongoose");
+const { fromMinorUnits } = require('../utils/money');
+
+// Money fields are integer minor units of `currency` (cents, yen, fils);
+// JSON output converts them back to major units
 
 const expenseSchema = new mongoose.Schema({
   title: { type: String, required: true },
-  amount: { type: Number, required: true },
-  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+  amount: { type: Number, required: true, validate: Number.isInteger },
+  paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // primary payer
+  // Everyone who paid towards the expense; older expenses only have paidBy
+  payers: [
+    {
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      amount: { type: Number, required: true }
+    }
+  ],
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', default: null }, // null for direct expenses
+  // The two users of a direct expense (one recorded outside any group)
+  members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  kind: { type: String, enum: ['expense', 'iou'], default: 'expense' }, // 'iou': a plain loan between two users
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  currency: { type: String, default: 'USD', uppercase: true },
+  // Rate from the expense currency to the group's base currency when the expense was created
+  exchangeRate: { type: Number, default: 1 },
+  baseCurrency: { type: String, uppercase: true },
   splitType: {
     type: String,
-    enum: ['equal', 'percentage', 'exact'],
+    enum: ['equal', 'percentage', 'exact', 'shares', 'adjustment', 'itemized'],
     required: true
   },
   splits: [
     {
       user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-      share: { type: Number }, // amount or percentage based on splitType
-      settled: { type: Boolean, default: false }, // track if this user has settled their share
-      settledAt: { type: Date } // when the user settled their share
+      share: { type: Number }, // amount this user owes
+      weight: { type: Number }, // number of shares for 'shares' splits
+      adjustment: { type: Number }, // +/- amount on top of the equal part for 'adjustment' splits
+      settled: { type: Boolean, default: false }, // track if this user has fully settled their share
+      settledAt: { type: Date }, // when the user settled their share
+      paidAmount: { type: Number, default: 0 }, // paid back to the payers so far
+      // Partial payments, one per payer paid; each is recorded as a settlement
+      payments: [
+        {
+          amount: { type: Number, required: true },
+          to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+          settlementId: { type: mongoose.Schema.Types.ObjectId, ref: 'Settlement' },
+          recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          paidAt: { type: Date, default: Date.now }
+        }
+      ],
+      // This user's response to the expense; older splits count as confirmed
+      confirmation: { type: String, enum: ['pending', 'confirmed', 'disputed'], default: 'confirmed' },
+      disputeReason: { type: String, maxlength: 500 },
+      respondedAt: { type: Date }
+    }
+  ],
+  // 'disputed' if any participant disputes it, 'pending' until all have confirmed
+  confirmationStatus: { type: String, enum: ['pending', 'confirmed', 'disputed'], default: 'confirmed' },
+  // Receipt line items and extras for 'itemized' splits
+  items: [
+    {
+      description: { type: String, required: true },
+      amount: { type: Number, required: true },
+      users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
     }
   ],
+  tax: { type: Number, default: 0 },
+  tip: { type: Number, default: 0 },
+  serviceCharge: { type: Number, default: 0 },
+  // Rotates who absorbs leftover minor units when a split doesn't divide evenly
+  roundingOffset: { type: Number, default: 0 },
+  minorUnits: { type: Boolean, default: true }, // false until migrated from major units
   category: { type: String, default: 'general' }, // food, travel, shopping, etc.
   notes: { type: String },
-  createdAt: { type: Date, default: Date.now }
+  attachments: [
+    {
+      originalName: { type: String, required: true },
+      mimeType: { type: String, required: true },
+      size: { type: Number, required: true }, // bytes
+      storageKey: { type: String, required: true }, // location in the attachment storage backend
+      uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      uploadedAt: { type: Date, default: Date.now }
+    }
+  ],
+  recurringExpenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringExpense' }, // schedule that created it
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date },
+  // Set when the expense is moved to the group trash; purged after the retention period
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 });
 
+expenseSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (doc.$isSubdocument) return ret;
+
+    const toMajor = (value) => (typeof value === 'number' ? fromMinorUnits(value, ret.currency) : value);
+    ret.amount = toMajor(ret.amount);
+    ['tax', 'tip', 'serviceCharge'].forEach(key => { ret[key] = toMajor(ret[key]); });
+    (ret.payers || []).forEach(payer => { payer.amount = toMajor(payer.amount); });
+    (ret.items || []).forEach(item => { item.amount = toMajor(item.amount); });
+    (ret.splits || []).forEach(split => {
+      split.share = toMajor(split.share);
+      split.adjustment = toMajor(split.adjustment);
+      split.paidAmount = toMajor(split.paidAmount);
+      (split.payments || []).forEach(payment => { payment.amount = toMajor(payment.amount); });
+    });
+    delete ret.minorUnits;
+    return ret;
+  }
+});
+
+// Indexes for expense listings, filters and balance lookups
+expenseSchema.index({ groupId: 1, createdAt: -1, _id: -1 });
+expenseSchema.index({ groupId: 1, amount: -1, _id: -1 });
+expenseSchema.index({ groupId: 1, category: 1 });
+expenseSchema.index({ groupId: 1, deletedAt: -1 });
+expenseSchema.index({ groupId: 1, confirmationStatus: 1 });
+expenseSchema.index({ members: 1, createdAt: -1 });
+expenseSchema.index({ paidBy: 1 });
+expenseSchema.index({ 'payers.user': 1 });
+expenseSchema.index({ 'splits.user': 1 });
+expenseSchema.index({ title: 'text', notes: 'text' });
+
 module.exports = mongoose.model("Expense", expenseSchema);
@@ -3,6 +3,15 @@ const mongoose = require("mongoose");
 const groupSchema = new mongoose.Schema({
   name: { type: String, required: true },
   members: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  baseCurrency: { type: String, default: 'USD', uppercase: true }, // currency balances are reported in
+  // How the settle-up plan turns balances into transfers
+  debtSimplification: { type: String, enum: ['none', 'greedy', 'optimal'], default: 'greedy' },
+  // Expenses only count towards balances once every participant has confirmed them
+  requireConfirmation: { type: Boolean, default: false },
+  // Disputed expenses don't count towards balances until the dispute is resolved
+  excludeDisputedExpenses: { type: Boolean, default: false },
+  // Days an unpaid share waits before automatic payment reminders start; 0 turns them off
+  reminderAfterDays: { type: Number, default: 7, min: 0 },
   expenses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Expense' }],
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   createdAt: { type: Date, default: Date.now }
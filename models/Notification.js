@@ -19,7 +19,7 @@ const notificationSchema = new mongoose.Schema(
       type: {
         resourceType: {
           type: String,
-          enum: ['group', 'expense', 'invitation']
+          enum: ['group', 'expense', 'invitation', 'settlement']
         },
         resourceId: {
           type: mongoose.Schema.Types.ObjectId
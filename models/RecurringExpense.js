@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const recurringExpenseSchema = new mongoose.Schema(
+  {
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Template for the expenses created by this schedule, same shape (and major units) as POST /api/expenses
+    title: { type: String, required: true },
+    amount: { type: Number, required: true },
+    currency: { type: String, default: 'USD' },
+    category: { type: String, default: 'general' },
+    notes: { type: String },
+    splitType: { type: String, required: true },
+    splits: { type: mongoose.Schema.Types.Mixed }, // userId -> percentage, amount, shares or adjustment
+    selectedMembers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    payers: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        amount: { type: Number, required: true }
+      }
+    ],
+    recurrence: {
+      frequency: { type: String, enum: ['weekly', 'monthly', 'yearly'], required: true },
+      interval: { type: Number, default: 1, min: 1 }, // every N weeks/months/years
+      dayOfWeek: { type: Number, min: 0, max: 6 }, // weekly: 0 = Sunday
+      dayOfMonth: { type: Number, min: 1, max: 31 }, // monthly and yearly, clamped to the month's length
+      month: { type: Number, min: 0, max: 11 } // yearly: 0 = January
+    },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date },
+    nextOccurrence: { type: Date },
+    lastOccurrence: { type: Date },
+    skippedDates: [{ type: Date }],
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'ended'],
+      default: 'active'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for the scheduler's lookup of due schedules
+recurringExpenseSchema.index({ status: 1, nextOccurrence: 1 });
+recurringExpenseSchema.index({ groupId: 1 });
+
+module.exports = mongoose.model("RecurringExpense", recurringExpenseSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { fromMinorUnits } = require('../utils/money');
+
+// A payment reminder sent to a participant who still owes part of their share of an expense
+const reminderSchema = new mongoose.Schema(
+  {
+    expenseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Expense',
+      required: true
+    },
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      default: null // null on direct expenses
+    },
+    debtor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // 'automatic' from the reminder job, 'manual' when a creditor nudged the debtor
+    type: {
+      type: String,
+      enum: ['automatic', 'manual'],
+      required: true
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User' // creditor who sent a manual reminder
+    },
+    level: {
+      type: Number // escalation step of an automatic reminder, starting at 1
+    },
+    amount: {
+      type: Number,
+      required: true // still owed when the reminder was sent, in minor units of the currency
+    },
+    currency: {
+      type: String,
+      uppercase: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for looking up the reminder history of an expense and debtor
+reminderSchema.index({ expenseId: 1, debtor: 1, createdAt: -1 });
+
+reminderSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.amount = fromMinorUnits(ret.amount, ret.currency);
+    return ret;
+  }
+});
+
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+module.exports = Reminder;
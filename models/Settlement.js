@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const { fromMinorUnits } = require('../utils/money');
+
+const settlementSchema = new mongoose.Schema(
+  {
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', default: null }, // null between users outside a group
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // member who paid
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // member who was paid
+    amount: { type: Number, required: true, min: 1, validate: Number.isInteger }, // minor units of currency
+    currency: { type: String, default: 'USD', uppercase: true },
+    exchangeRate: { type: Number, default: 1 }, // snapshot: 1 unit of currency in the group's base currency
+    baseCurrency: { type: String, uppercase: true },
+    date: { type: Date, default: Date.now },
+    method: {
+      type: String,
+      enum: ['cash', 'bank_transfer', 'card', 'mobile_payment', 'other'],
+      default: 'cash'
+    },
+    note: { type: String, maxlength: 500 },
+    expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense' }, // set when recorded by settling an expense split
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    minorUnits: { type: Boolean, default: true } // false until migrated from major units
+  },
+  {
+    timestamps: true
+  }
+);
+
+// JSON output uses major units
+settlementSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.amount = fromMinorUnits(ret.amount, ret.currency);
+    delete ret.minorUnits;
+    return ret;
+  }
+});
+
+settlementSchema.index({ groupId: 1, date: -1 });
+settlementSchema.index({ expenseId: 1 });
+settlementSchema.index({ from: 1, to: 1 });
+
+module.exports = mongoose.model("Settlement", settlementSchema);
@@ -6,7 +6,10 @@ const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   phone: { type: String, required: true }, 
   passwordHash: { type: String, required: true },
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
   groups: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Group' }],
+  statementEmails: { type: Boolean, default: true }, // monthly statement emails; false to opt out
+  lastStatementMonth: { type: String }, // YYYY-MM of the last monthly statement sent
   createdAt: { type: Date, default: Date.now }
 });
 
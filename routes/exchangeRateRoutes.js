@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getExchangeRates,
+  setManualExchangeRates,
+  deleteManualExchangeRates
+} = require('../controllers/exchangeRateController');
+const { protect, admin } = require('../middleware/auth');
+
+router.get('/', protect, getExchangeRates);
+
+// Manual rates can only be managed by admins
+router.post('/', protect, admin, setManualExchangeRates);
+router.delete('/:id', protect, admin, deleteManualExchangeRates);
+
+module.exports = router;
@@ -2,20 +2,65 @@ const express = require('express');
 const router = express.Router();
 const { 
   addExpense, 
+  addIou,
+  getDirectExpenses,
+  updateExpense,
   deleteExpense,
+  restoreExpense,
   convertCurrencyAmount,
   getAllUserExpenses,
   settleExpense,
-  settleSplit
+  settleSplit,
+  confirmExpense,
+  disputeExpense
 } = require('../controllers/expenseController');
+const {
+  uploadAttachment,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const {
+  getExpenseComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const {
+  remindExpense,
+  getExpenseReminders
+} = require('../controllers/reminderController');
 const { protect } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
 
 // Protected routes
 router.get('/', protect, getAllUserExpenses);
 router.post('/', protect, addExpense);
+router.post('/iou', protect, addIou);
+router.get('/direct', protect, getDirectExpenses);
+router.put('/:id', protect, updateExpense);
 router.delete('/:id', protect, deleteExpense);
+router.post('/:id/restore', protect, restoreExpense);
 router.post('/:id/settle', protect, settleExpense);
 router.post('/:id/settle-split', protect, settleSplit);
+router.post('/:id/confirm', protect, confirmExpense);
+router.post('/:id/dispute', protect, disputeExpense);
+
+// Receipt attachment routes
+router.post('/:id/attachments', protect, uploadSingle('file'), uploadAttachment);
+router.get('/:id/attachments', protect, getAttachments);
+router.get('/:id/attachments/:attachmentId', protect, downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', protect, deleteAttachment);
+
+// Comment routes
+router.get('/:id/comments', protect, getExpenseComments);
+router.post('/:id/comments', protect, createComment);
+router.put('/:id/comments/:commentId', protect, updateComment);
+router.delete('/:id/comments/:commentId', protect, deleteComment);
+
+// Payment reminder routes
+router.post('/:id/remind', protect, remindExpense);
+router.get('/:id/reminders', protect, getExpenseReminders);
 
 // Currency conversion route
 router.get('/convert', protect, convertCurrencyAmount);
@@ -10,15 +10,36 @@ const {
   resendInvitation,
   verifyInviteToken,
   deleteGroup,
-  getGroupBalanceSummary
+  updateGroupSettings,
+  getGroupBalanceSummary,
+  exportGroupLedger,
+  getGroupAnalytics
 } = require('../controllers/groupController');
-const { getGroupExpenses } = require('../controllers/expenseController');
+const {
+  getGroupExpenses,
+  getGroupTrash,
+  importGroupExpenses
+} = require('../controllers/expenseController');
 const { 
   getGroupMessages, 
   createMessage, 
   deleteMessage 
 } = require('../controllers/messageController');
+const {
+  getGroupCategories,
+  createCategory,
+  updateCategory,
+  getGroupBudgets
+} = require('../controllers/categoryController');
+const {
+  getGroupSettlements,
+  createSettlement,
+  deleteSettlement,
+  getSettlePlan,
+  recordSettlePlan
+} = require('../controllers/settlementController');
 const { protect } = require('../middleware/auth');
+const { uploadCsv } = require('../middleware/upload');
 
 // Root routes
 router.post('/', protect, createGroup);
@@ -34,8 +55,26 @@ router.get('/verify-invite/:token', verifyInviteToken);
 router.get('/:id', protect, getGroupDetails);
 router.post('/:id/invite', protect, inviteUserToGroup);
 router.get('/:id/expenses', protect, getGroupExpenses);
+router.get('/:id/trash', protect, getGroupTrash);
+router.post('/:id/import', protect, uploadCsv('file'), importGroupExpenses);
 router.delete('/:id', protect, deleteGroup);
+router.put('/:id/settings', protect, updateGroupSettings);
 router.get('/:id/balance', protect, getGroupBalanceSummary);
+router.get('/:id/export', protect, exportGroupLedger);
+router.get('/:id/analytics', protect, getGroupAnalytics);
+
+// Category and budget routes
+router.get('/:id/categories', protect, getGroupCategories);
+router.post('/:id/categories', protect, createCategory);
+router.put('/:id/categories/:categoryId', protect, updateCategory);
+router.get('/:id/budgets', protect, getGroupBudgets);
+
+// Settlement payment routes
+router.get('/:id/settlements', protect, getGroupSettlements);
+router.post('/:id/settlements', protect, createSettlement);
+router.delete('/:id/settlements/:settlementId', protect, deleteSettlement);
+router.get('/:id/settle-plan', protect, getSettlePlan);
+router.post('/:id/settle-plan', protect, recordSettlePlan);
 
 // New invitation related routes
 router.get('/:id/invitations', protect, getGroupInvitations);
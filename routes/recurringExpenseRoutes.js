@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createRecurringExpense,
+  getRecurringExpenses,
+  updateRecurringExpense,
+  pauseRecurringExpense,
+  resumeRecurringExpense,
+  skipRecurringExpenseOccurrence,
+  deleteRecurringExpense
+} = require('../controllers/recurringExpenseController');
+const { protect } = require('../middleware/auth');
+
+// All recurring expense routes are protected
+router.get('/', protect, getRecurringExpenses);
+router.post('/', protect, createRecurringExpense);
+router.put('/:id', protect, updateRecurringExpense);
+router.delete('/:id', protect, deleteRecurringExpense);
+router.post('/:id/pause', protect, pauseRecurringExpense);
+router.post('/:id/resume', protect, resumeRecurringExpense);
+router.post('/:id/skip', protect, skipRecurringExpenseOccurrence);
+
+module.exports = router;
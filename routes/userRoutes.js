@@ -1,9 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const { getUserStats } = require('../controllers/userController');
+const {
+  getUserStats,
+  getUserBalances,
+  getUserBalanceWith,
+  getMonthlyStatement,
+  getUserAnalytics
+} = require('../controllers/userController');
 const { protect } = require('../middleware/auth');
 
 // Protected routes
 router.get('/stats', protect, getUserStats);
+router.get('/balances', protect, getUserBalances);
+router.get('/balances/:userId', protect, getUserBalanceWith);
+router.get('/statements/:month', protect, getMonthlyStatement);
+router.get('/analytics', protect, getUserAnalytics);
 
 module.exports = router; 
\ No newline at end of file
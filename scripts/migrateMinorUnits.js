@@ -0,0 +1,108 @@
+// One-off migration: expense and settlement amounts are now stored as integer
+// minor units of their currency (cents, yen, fils) instead of decimal major units.
+// Converts every document not yet marked with `minorUnits: true`, re-allocating
+// shares and payer amounts so they still add up to the expense amount exactly.
+// Safe to run more than once. Run before migrate:settlements.
+//
+// Usage: npm run migrate:minor-units
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Expense = require('../models/Expense');
+const Group = require('../models/Group');
+const Settlement = require('../models/Settlement');
+const { toMinorUnits, allocateMinorUnits } = require('../utils/money');
+
+dotenv.config();
+
+// Split the converted amount in proportion to the old decimal values
+const reallocate = (amount, values) => {
+  const weights = values.map(value => Math.max(value || 0, 0));
+  if (weights.reduce((sum, weight) => sum + weight, 0) <= 0) return null;
+  return allocateMinorUnits(amount, weights);
+};
+
+const migrateExpenses = async () => {
+  const baseCurrencies = {};
+  const getBaseCurrency = async (groupId) => {
+    const key = String(groupId);
+    if (baseCurrencies[key] === undefined) {
+      const group = await Group.findById(groupId).select('baseCurrency');
+      baseCurrencies[key] = (group && group.baseCurrency) || 'USD';
+    }
+    return baseCurrencies[key];
+  };
+
+  const cursor = Expense.collection.find({ minorUnits: { $ne: true } });
+  let migrated = 0;
+
+  for await (const expense of cursor) {
+    const currency = expense.currency || 'USD';
+    const toMinor = (value) => toMinorUnits(value || 0, currency);
+    const amount = toMinor(expense.amount);
+
+    const splits = expense.splits || [];
+    const shares = reallocate(amount, splits.map(split => split.share));
+    const payers = expense.payers || [];
+    const paid = reallocate(amount, payers.map(payer => payer.amount));
+
+    await Expense.collection.updateOne({ _id: expense._id }, {
+      $set: {
+        amount,
+        splits: splits.map((split, index) => ({
+          ...split,
+          share: shares ? shares[index] : toMinor(split.share),
+          ...(split.adjustment !== undefined && { adjustment: toMinor(split.adjustment) })
+        })),
+        payers: payers.map((payer, index) => ({
+          ...payer,
+          amount: paid ? paid[index] : toMinor(payer.amount)
+        })),
+        items: (expense.items || []).map(item => ({ ...item, amount: toMinor(item.amount) })),
+        tax: toMinor(expense.tax),
+        tip: toMinor(expense.tip),
+        serviceCharge: toMinor(expense.serviceCharge),
+        // Converting to the base currency needs its decimal places
+        baseCurrency: expense.baseCurrency || await getBaseCurrency(expense.groupId),
+        minorUnits: true
+      }
+    });
+    migrated++;
+  }
+
+  return migrated;
+};
+
+const migrateSettlements = async () => {
+  const cursor = Settlement.collection.find({ minorUnits: { $ne: true } });
+  let migrated = 0;
+
+  for await (const settlement of cursor) {
+    await Settlement.collection.updateOne({ _id: settlement._id }, {
+      $set: {
+        amount: toMinorUnits(settlement.amount, settlement.currency || 'USD'),
+        minorUnits: true
+      }
+    });
+    migrated++;
+  }
+
+  return migrated;
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  const expenses = await migrateExpenses();
+  const settlements = await migrateSettlements();
+
+  console.log(`Converted ${expenses} expense(s) and ${settlements} settlement(s) to minor units`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Minor units migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
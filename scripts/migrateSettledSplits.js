@@ -0,0 +1,63 @@
+// One-off migration: balances now net recorded settlement payments instead of
+// reading `splits[].settled`, so record a settlement for every split that was
+// marked as settled before settlements existed. Safe to run more than once.
+// Expenses must be in minor units first (npm run migrate:minor-units).
+//
+// Usage: npm run migrate:settlements
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Expense = require('../models/Expense');
+const Group = require('../models/Group');
+const Settlement = require('../models/Settlement');
+const { getExpenseDebts, getExpenseRate } = require('../utils/expenseCalculator');
+
+dotenv.config();
+
+const migrate = async () => {
+  await connectDB();
+
+  const expenses = await Expense.find({ 'splits.settled': true, minorUnits: true });
+  let created = 0;
+
+  for (const expense of expenses) {
+    const group = await Group.findById(expense.groupId);
+    if (!group) continue;
+
+    for (const split of expense.splits.filter(candidate => candidate.settled)) {
+      // Already migrated, or settled after settlements were introduced
+      if (await Settlement.exists({ expenseId: expense._id, from: split.user })) continue;
+
+      const debts = getExpenseDebts(expense)
+        .filter(debt => debt.from === split.user.toString() && debt.originalAmount > 0);
+
+      for (const debt of debts) {
+        await Settlement.create({
+          groupId: group._id,
+          from: debt.from,
+          to: debt.to,
+          amount: debt.originalAmount,
+          currency: expense.currency,
+          exchangeRate: getExpenseRate(expense),
+          baseCurrency: group.baseCurrency || 'USD',
+          date: split.settledAt || expense.createdAt,
+          method: 'other',
+          note: `Share of "${expense.title}"`,
+          expenseId: expense._id,
+          createdBy: debt.to
+        });
+        created++;
+      }
+    }
+  }
+
+  console.log(`Recorded ${created} settlement(s) for previously settled splits`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Settlement migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -2,6 +2,17 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const { registerJob, startScheduler } = require('./utils/scheduler');
+const { materializeDueRecurringExpenses } = require('./utils/recurringExpenses');
+const { purgeDeletedExpenses } = require('./utils/expenseTrash');
+const { sendMonthlyStatements } = require('./utils/statements');
+const { sendDueReminders } = require('./utils/reminders');
+const {
+  RECURRING_EXPENSE_CHECK_INTERVAL,
+  EXPENSE_TRASH_PURGE_INTERVAL,
+  STATEMENT_CHECK_INTERVAL,
+  REMINDER_CHECK_INTERVAL
+} = require('./config/constants');
 
 // Load environment variables
 dotenv.config();
@@ -16,7 +27,8 @@ const app = express();
 app.use(cors());
 app.use(cors({
   origin: ['https://split-biller-client.vercel.app', 'http://localhost:5173'], // Replace with your frontend URL
-  credentials: true // If you're using cookies or sessions
+  credentials: true, // If you're using cookies or sessions
+  exposedHeaders: ['X-Next-Cursor'] // Cursor for the next page of expense listings
 }));
 app.use(express.json());
 
@@ -33,6 +45,8 @@ const groupRoutes = require('./routes/groupRoutes');
 const expenseRoutes = require('./routes/expenseRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const invitationRoutes = require('./routes/invitationRoutes');
+const recurringExpenseRoutes = require('./routes/recurringExpenseRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
 
 // Mount routes
 app.use('/api/auth', authRoutes);
@@ -41,6 +55,8 @@ app.use('/api/groups', groupRoutes);
 app.use('/api/expenses', expenseRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/invitations', invitationRoutes);
+app.use('/api/recurring-expenses', recurringExpenseRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 
 // Catch-all route for undefined endpoints
 app.use('*', (req, res) => {
@@ -62,6 +78,13 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Background jobs (not available in the serverless functions)
+registerJob('recurring-expenses', RECURRING_EXPENSE_CHECK_INTERVAL, () => materializeDueRecurringExpenses());
+registerJob('expense-trash-purge', EXPENSE_TRASH_PURGE_INTERVAL, () => purgeDeletedExpenses());
+registerJob('monthly-statements', STATEMENT_CHECK_INTERVAL, () => sendMonthlyStatements());
+registerJob('payment-reminders', REMINDER_CHECK_INTERVAL, () => sendDueReminders());
+startScheduler();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('Unhandled Promise Rejection:', err);
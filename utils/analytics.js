@@ -0,0 +1,422 @@
+const Group = require('../models/Group');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { getExchangeRate } = require('./currencyConverter');
+const { getCountedExpenseFilter } = require('./expenseConfirmation');
+const { httpError } = require('./expenseService');
+const { CURRENCY_DECIMALS, getCurrencyDecimals, fromMinorUnits } = require('./money');
+
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 }; // when no `from` is given
+const MAX_BUCKETS = 366;
+const DEFAULT_TOP = 5;
+const MAX_TOP = 50;
+
+// Bucket labels as produced by $dateToString: 2026-03-14, 2026-W11 (ISO week), 2026-03
+const BUCKET_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get the start of the UTC day, ISO week (Monday) or month a date falls in
+ * @param {Date} date - Date
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {Date} Start of the bucket
+ */
+const startOfBucket = (date, interval) => {
+  if (interval === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+const addBuckets = (date, interval, count) => {
+  const next = new Date(date);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + count);
+  } else {
+    next.setUTCDate(next.getUTCDate() + count * (interval === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+// Same label as BUCKET_FORMATS gives in the pipeline
+const getBucketLabel = (start, interval) => {
+  const day = `${start.getUTCFullYear()}-${pad(start.getUTCMonth() + 1)}`;
+  if (interval === 'month') return day;
+  if (interval === 'day') return `${day}-${pad(start.getUTCDate())}`;
+
+  // ISO weeks belong to the year their Thursday falls in
+  const thursday = addBuckets(start, 'day', 3);
+  const year = thursday.getUTCFullYear();
+  const week = Math.ceil(((thursday - Date.UTC(year, 0, 1)) / (24 * 60 * 60 * 1000) + 1) / 7);
+  return `${year}-W${pad(week)}`;
+};
+
+/**
+ * List the labels of the buckets between two dates
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period (exclusive)
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {Array} Bucket labels, oldest first
+ */
+const listBuckets = (from, to, interval) => {
+  const labels = [];
+  for (let start = startOfBucket(from, interval); start < to; start = addBuckets(start, interval, 1)) {
+    labels.push(getBucketLabel(start, interval));
+    if (labels.length > MAX_BUCKETS) break;
+  }
+  return labels;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw httpError(400, `Invalid ${name} date`);
+  }
+  return date;
+};
+
+/**
+ * Read the options of an analytics request from its query string
+ * @param {Object} query - Query parameters: interval, from, to, top and currency
+ * @param {string} defaultCurrency - Currency to report in when none is given
+ * @returns {Object} { interval, from, to, previousFrom, top, currency }
+ */
+const parseAnalyticsQuery = (query, defaultCurrency) => {
+  const interval = query.interval || 'month';
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    throw httpError(400, `Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}`);
+  }
+
+  // Repeated parameters arrive as arrays
+  const currency = query.currency || defaultCurrency;
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/i.test(currency)) {
+    throw httpError(400, 'Invalid currency code');
+  }
+
+  // Defaults to the current bucket and the ones before it
+  const to = query.to ? parseDate(query.to, 'to') : new Date();
+  const from = query.from
+    ? parseDate(query.from, 'from')
+    : addBuckets(startOfBucket(new Date(to.getTime() - 1), interval), interval, 1 - DEFAULT_BUCKETS[interval]);
+  if (from >= to) {
+    throw httpError(400, 'from must be before to');
+  }
+  if (listBuckets(from, to, interval).length > MAX_BUCKETS) {
+    throw httpError(400, `A period can have at most ${MAX_BUCKETS} ${interval} buckets`);
+  }
+
+  const top = query.top === undefined ? DEFAULT_TOP : parseInt(query.top, 10);
+  if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+    throw httpError(400, `top must be between 1 and ${MAX_TOP}`);
+  }
+
+  // Compared with the period of the same length just before it
+  const previousFrom = new Date(from.getTime() - (to.getTime() - from.getTime()));
+
+  return { interval, from, to, previousFrom, top, currency: currency.toUpperCase() };
+};
+
+// Decimal places of a currency field, from the same table as utils/money.js
+const decimalsOf = (field) => ({
+  $switch: {
+    branches: [0, 3].map(decimals => ({
+      case: {
+        $in: [field, Object.keys(CURRENCY_DECIMALS).filter(currency => CURRENCY_DECIMALS[currency] === decimals)]
+      },
+      then: decimals
+    })),
+    default: 2
+  }
+});
+
+/**
+ * Build the expression converting an expense amount into minor units of the report
+ * currency: the expense's rate snapshot into its base currency, then today's rate from
+ * the base currency into the report currency
+ */
+const buildReportRate = async (match, currency) => {
+  const baseCurrencies = await Expense.aggregate([
+    { $match: match },
+    { $group: { _id: { $ifNull: ['$baseCurrency', '$currency'] } } }
+  ]);
+
+  const branches = [];
+  for (const { _id: baseCurrency } of baseCurrencies) {
+    if (baseCurrency === currency) continue;
+    let rate;
+    try {
+      rate = await getExchangeRate(baseCurrency, currency);
+    } catch (rateError) {
+      throw httpError(503, `Could not convert ${baseCurrency} to ${currency}`);
+    }
+    branches.push({ case: { $eq: ['$baseCurrency', baseCurrency] }, then: rate });
+  }
+
+  return {
+    $multiply: [
+      { $ifNull: ['$exchangeRate', 1] },
+      branches.length > 0 ? { $switch: { branches, default: 1 } } : 1,
+      { $pow: [10, { $subtract: [getCurrencyDecimals(currency), decimalsOf('$currency')] }] }
+    ]
+  };
+};
+
+/**
+ * Aggregate the spending of a set of expenses over a period. Every breakdown is worked
+ * out by MongoDB in a single pipeline; only the grouped totals are finished off here.
+ * @param {Object} match - Filter selecting the expenses
+ * @param {Object} options - Parsed query from parseAnalyticsQuery, plus `userId` to
+ *   measure one user's share of each expense instead of its full amount, and
+ *   `groupIds` whose categories name the category keys
+ * @returns {Promise<Object>} Analytics in major units of the report currency
+ */
+const aggregateSpending = async (match, options) => {
+  const { interval, from, to, previousFrom, top, currency, userId, groupIds } = options;
+  const periodMatch = { ...match, createdAt: { $gte: previousFrom, $lt: to } };
+  const current = { $match: { period: 'current' } };
+
+  const spend = userId
+    ? {
+      $sum: {
+        $map: {
+          input: { $filter: { input: '$splits', as: 'split', cond: { $eq: ['$$split.user', userId] } } },
+          as: 'split',
+          in: { $ifNull: ['$$split.share', 0] }
+        }
+      }
+    }
+    : '$amount';
+
+  const [result] = await Expense.aggregate([
+    { $match: periodMatch },
+    { $addFields: { baseCurrency: { $ifNull: ['$baseCurrency', '$currency'] } } },
+    {
+      $addFields: {
+        period: { $cond: [{ $gte: ['$createdAt', from] }, 'current', 'previous'] },
+        toReport: await buildReportRate(periodMatch, currency)
+      }
+    },
+    { $addFields: { spent: { $multiply: [spend, '$toReport'] } } },
+    {
+      $facet: {
+        // Both periods by category; the period totals and category breakdown come from this
+        byPeriod: [
+          {
+            $group: {
+              _id: { period: '$period', category: '$category' },
+              spent: { $sum: '$spent' },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        overTime: [
+          current,
+          {
+            $group: {
+              _id: { $dateToString: { date: '$createdAt', format: BUCKET_FORMATS[interval] } },
+              spent: { $sum: '$spent' },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        // Older expenses only have paidBy; each payer is credited their part of what was spent
+        byPayer: [
+          current,
+          {
+            $project: {
+              spent: 1,
+              amount: 1,
+              payers: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$payers', []] } }, 0] },
+                  '$payers',
+                  [{ user: '$paidBy', amount: '$amount' }]
+                ]
+              }
+            }
+          },
+          { $unwind: '$payers' },
+          {
+            $group: {
+              _id: '$payers.user',
+              paid: {
+                $sum: {
+                  $cond: [
+                    { $gt: ['$amount', 0] },
+                    { $multiply: ['$spent', { $divide: ['$payers.amount', '$amount'] }] },
+                    0
+                  ]
+                }
+              },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        byParticipant: [
+          current,
+          { $unwind: '$splits' },
+          {
+            $group: {
+              _id: '$splits.user',
+              share: { $sum: { $multiply: [{ $ifNull: ['$splits.share', 0] }, '$toReport'] } },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        topExpenses: [
+          current,
+          { $sort: { spent: -1, createdAt: -1 } },
+          { $limit: top },
+          { $project: { title: 1, createdAt: 1, category: 1, amount: 1, currency: 1, groupId: 1, spent: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const toMajor = (value) => fromMinorUnits(value, currency);
+  const percentChange = (now, before) => (before > 0 ? Math.round(((now - before) / before) * 100) : null);
+
+  // Totals are sums of converted amounts; round each once, then add them up
+  const periods = { current: { spent: 0, count: 0 }, previous: { spent: 0, count: 0 } };
+  const categories = {};
+  for (const row of result.byPeriod) {
+    const { period, category } = row._id;
+    const spent = Math.round(row.spent);
+    periods[period].spent += spent;
+    periods[period].count += row.count;
+    categories[category] = categories[category] || { current: { spent: 0, count: 0 }, previous: { spent: 0, count: 0 } };
+    categories[category][period] = { spent, count: row.count };
+  }
+
+  // Category and user names
+  const categoryDocs = await Category.find({ groupId: { $in: groupIds }, key: { $in: Object.keys(categories) } })
+    .select('key name icon color');
+  const categoryInfo = (key) => {
+    const doc = categoryDocs.find(candidate => candidate.key === key);
+    return doc
+      ? { key, name: doc.name, icon: doc.icon, color: doc.color }
+      : { key, name: key.charAt(0).toUpperCase() + key.slice(1) };
+  };
+  const users = await User.find({
+    _id: { $in: [...result.byPayer, ...result.byParticipant].map(row => row._id) }
+  }).select('name');
+  const userInfo = (id) => {
+    const user = users.find(candidate => candidate._id.toString() === id.toString());
+    return { _id: id, name: user ? user.name : 'Former member' };
+  };
+
+  const totalSpent = periods.current.spent;
+  const buckets = Object.fromEntries(result.overTime.map(row => [row._id, row]));
+  const byCategory = Object.entries(categories)
+    .filter(([, totals]) => totals.current.count > 0)
+    .sort(([, a], [, b]) => b.current.spent - a.current.spent)
+    .map(([key, totals]) => ({
+      category: categoryInfo(key),
+      spent: toMajor(totals.current.spent),
+      count: totals.current.count,
+      percent: totalSpent > 0 ? Math.round((totals.current.spent / totalSpent) * 100) : 0
+    }));
+
+  return {
+    currency,
+    interval,
+    from,
+    to,
+    previousPeriod: { from: previousFrom, to: from },
+    totals: {
+      spent: toMajor(totalSpent),
+      count: periods.current.count,
+      average: periods.current.count > 0 ? toMajor(Math.round(totalSpent / periods.current.count)) : 0
+    },
+    overTime: listBuckets(from, to, interval).map(label => {
+      const bucket = buckets[label] || { spent: 0, count: 0 };
+      return { period: label, spent: toMajor(Math.round(bucket.spent)), count: bucket.count };
+    }),
+    byCategory,
+    byPayer: result.byPayer
+      .map(row => ({ user: userInfo(row._id), paid: Math.round(row.paid), count: row.count }))
+      .sort((a, b) => b.paid - a.paid)
+      .map(row => ({ ...row, paid: toMajor(row.paid) })),
+    byParticipant: result.byParticipant
+      .map(row => ({ user: userInfo(row._id), share: Math.round(row.share), count: row.count }))
+      .sort((a, b) => b.share - a.share)
+      .map(row => ({ ...row, share: toMajor(row.share) })),
+    topExpenses: result.topExpenses.map(expense => ({
+      _id: expense._id,
+      title: expense.title,
+      date: expense.createdAt,
+      category: expense.category,
+      groupId: expense.groupId,
+      amount: fromMinorUnits(expense.amount, expense.currency),
+      currency: expense.currency,
+      spent: toMajor(Math.round(expense.spent))
+    })),
+    comparison: {
+      current: { spent: toMajor(periods.current.spent), count: periods.current.count },
+      previous: { spent: toMajor(periods.previous.spent), count: periods.previous.count },
+      change: toMajor(periods.current.spent - periods.previous.spent),
+      changePercent: percentChange(periods.current.spent, periods.previous.spent),
+      byCategory: Object.entries(categories)
+        .sort(([, a], [, b]) => b.current.spent - a.current.spent)
+        .map(([key, totals]) => ({
+          category: categoryInfo(key),
+          current: toMajor(totals.current.spent),
+          previous: toMajor(totals.previous.spent),
+          change: toMajor(totals.current.spent - totals.previous.spent),
+          changePercent: percentChange(totals.current.spent, totals.previous.spent)
+        }))
+    }
+  };
+};
+
+/**
+ * Get spending analytics for a group: the full amount of every expense that counts
+ * towards its balances, reported in the group's base currency unless `currency` is given
+ * @param {Object} group - Group document
+ * @param {Object} query - Query parameters, see parseAnalyticsQuery
+ * @returns {Promise<Object>} Analytics in major units of the report currency
+ */
+const getGroupAnalytics = async (group, query) => {
+  const options = parseAnalyticsQuery(query, group.baseCurrency || 'USD');
+
+  const analytics = await aggregateSpending(
+    { groupId: group._id, deletedAt: null, ...getCountedExpenseFilter(group) },
+    { ...options, groupIds: [group._id] }
+  );
+
+  return { group: { _id: group._id, name: group.name }, ...analytics };
+};
+
+/**
+ * Get spending analytics for a user: their share of the expenses they take part in,
+ * across their groups and direct expenses (IOUs left out), reported in `currency` (default USD)
+ * @param {Object} userId - User ID
+ * @param {Object} query - Query parameters, see parseAnalyticsQuery
+ * @returns {Promise<Object>} Analytics in major units of the report currency
+ */
+const getUserAnalytics = async (userId, query) => {
+  const options = parseAnalyticsQuery(query, 'USD');
+  const groups = await Group.find({ members: userId }).select('requireConfirmation excludeDisputedExpenses');
+
+  return aggregateSpending(
+    {
+      deletedAt: null,
+      kind: { $ne: 'iou' }, // a loan isn't spending
+      'splits.user': userId,
+      $or: [
+        ...groups.map(group => ({ groupId: group._id, ...getCountedExpenseFilter(group) })),
+        { groupId: null, members: userId }
+      ]
+    },
+    { ...options, userId, groupIds: groups.map(group => group._id) }
+  );
+};
+
+module.exports = { getGroupAnalytics, getUserAnalytics };
@@ -0,0 +1,87 @@
+// Storage for expense attachments. A backend exposes:
+//   save(key, buffer, mimeType) - store a file under key
+//   createReadStream(key)       - stream a stored file
+//   remove(key)                 - delete a stored file (missing files are ignored)
+// The backend is picked with ATTACHMENT_STORAGE; only 'local' ships today.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ATTACHMENT_STORAGE, ATTACHMENT_STORAGE_DIR } = require('../config/constants');
+
+// Keeps files on the local filesystem under ATTACHMENT_STORAGE_DIR
+const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid attachment key');
+    }
+    return filePath;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const backends = {
+  local: () => createLocalStorage(ATTACHMENT_STORAGE_DIR)
+};
+
+let storage;
+
+/**
+ * Get the configured storage backend
+ * @returns {Object} Storage backend
+ */
+const getStorage = () => {
+  if (!storage) {
+    if (!backends[ATTACHMENT_STORAGE]) {
+      throw new Error(`Unknown attachment storage "${ATTACHMENT_STORAGE}"`);
+    }
+    storage = backends[ATTACHMENT_STORAGE]();
+  }
+  return storage;
+};
+
+/**
+ * Generate a storage key for a new attachment on an expense
+ * @param {string} expenseId - ID of the expense
+ * @param {string} originalName - File name as uploaded
+ * @returns {string} Storage key
+ */
+const generateAttachmentKey = (expenseId, originalName) => {
+  const extension = path.extname(originalName || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `${expenseId}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
+
+/**
+ * Delete the stored files of a list of attachments, logging failures
+ * @param {Array} attachments - Attachment subdocuments with a storageKey
+ * @returns {Promise} Promise that resolves when all files are processed
+ */
+const removeAttachmentFiles = async (attachments = []) => {
+  await Promise.all(attachments.map(async (attachment) => {
+    try {
+      await getStorage().remove(attachment.storageKey);
+    } catch (error) {
+      console.error(`Failed to delete attachment ${attachment.storageKey}:`, error.message);
+    }
+  }));
+};
+
+module.exports = { getStorage, generateAttachmentKey, removeAttachmentFiles };
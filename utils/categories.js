@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const Notification = require('../models/Notification');
+const { DEFAULT_CATEGORIES, BUDGET_ALERT_THRESHOLDS } = require('../config/constants');
+const { getCurrencyDecimals, fromMinorUnits } = require('./money');
+
+/**
+ * Create an error for an unusable category that controllers report as 400
+ * @param {string} message - Error message
+ * @returns {Error} Error with a 400 statusCode
+ */
+const categoryError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Normalize a category name to the key stored on expenses, so "Food" and " food " match
+ * @param {string} name - Category name
+ * @returns {string} Category key
+ */
+const toCategoryKey = (name) => String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Get the UTC month (YYYY-MM) of a date
+const toMonth = (date = new Date()) => new Date(date).toISOString().slice(0, 7);
+
+/**
+ * Create the built-in categories the first time a group's categories are used.
+ * Categories already used by the group's expenses are adopted as custom categories
+ * and the stored names normalized, so existing groups keep working.
+ * @param {string|Object} groupId - Group ID
+ * @returns {Promise} Promise that resolves once the group has categories
+ */
+const ensureDefaultCategories = async (groupId) => {
+  if (await Category.exists({ groupId })) return;
+
+  const usedNames = [
+    ...await Expense.distinct('category', { groupId }),
+    ...await RecurringExpense.distinct('category', { groupId })
+  ].filter(name => name && name.trim());
+
+  const categories = new Map();
+  for (const category of DEFAULT_CATEGORIES) {
+    categories.set(toCategoryKey(category.name), { ...category, isDefault: true });
+  }
+  for (const name of usedNames) {
+    const key = toCategoryKey(name);
+    if (!categories.has(key)) {
+      categories.set(key, { name: name.trim() });
+    }
+  }
+
+  try {
+    await Category.bulkWrite(
+      [...categories].map(([key, category]) => ({
+        updateOne: {
+          filter: { groupId, key },
+          update: { $setOnInsert: { ...category, groupId, key } },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Another request seeded the same group at the same time
+    if (error.code !== 11000) throw error;
+  }
+
+  for (const name of usedNames) {
+    const key = toCategoryKey(name);
+    if (key !== name) {
+      await Expense.updateMany({ groupId, category: name }, { category: key });
+      await RecurringExpense.updateMany({ groupId, category: name }, { category: key });
+    }
+  }
+};
+
+/**
+ * Find the active category of a group matching a name (defaults to "general")
+ * @param {string|Object} groupId - Group ID
+ * @param {string} [name] - Category name as entered by the user
+ * @returns {Promise<Object>} Category document
+ */
+const resolveCategory = async (groupId, name) => {
+  await ensureDefaultCategories(groupId);
+
+  const category = await Category.findOne({ groupId, key: toCategoryKey(name || 'general') });
+
+  if (!category) {
+    throw categoryError(`Unknown category "${name}". Add it to the group's categories first`);
+  }
+
+  if (category.archived) {
+    throw categoryError(`Category "${category.name}" is archived`);
+  }
+
+  return category;
+};
+
+/**
+ * Total a group's spending per category for a month, in major units of the group's base currency
+ * @param {Object} group - Group document
+ * @param {string} month - Month as YYYY-MM
+ * @param {Array} [keys] - Only total these category keys
+ * @returns {Promise<Object>} Category key -> amount spent
+ */
+const getMonthlySpending = async (group, month, keys) => {
+  const baseCurrency = group.baseCurrency || 'USD';
+  const [year, monthIndex] = month.split('-').map(Number);
+  const start = new Date(Date.UTC(year, monthIndex - 1, 1));
+  const end = new Date(Date.UTC(year, monthIndex, 1));
+
+  const totals = await Expense.aggregate([
+    {
+      $match: {
+        groupId: new mongoose.Types.ObjectId(group._id),
+        deletedAt: null,
+        createdAt: { $gte: start, $lt: end },
+        ...(keys && { category: { $in: keys } })
+      }
+    },
+    {
+      // Minor units differ per currency, so total each currency separately
+      $group: {
+        _id: { category: '$category', currency: '$currency' },
+        spent: { $sum: { $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] } }
+      }
+    }
+  ]);
+
+  const spending = {};
+  for (const total of totals) {
+    const { category, currency } = total._id;
+    const scale = 10 ** (getCurrencyDecimals(baseCurrency) - getCurrencyDecimals(currency));
+    spending[category] = (spending[category] || 0) + Math.round(total.spent * scale);
+  }
+
+  return Object.fromEntries(
+    Object.entries(spending).map(([category, spent]) => [category, fromMinorUnits(spent, baseCurrency)])
+  );
+};
+
+/**
+ * Get spending against budget for each budgeted category of a group
+ * @param {Object} group - Group document
+ * @param {string} [month] - Month as YYYY-MM, defaults to the current month
+ * @returns {Promise<Array>} One entry per budgeted category
+ */
+const getBudgetStatus = async (group, month = toMonth()) => {
+  await ensureDefaultCategories(group._id);
+
+  const categories = await Category.find({
+    groupId: group._id,
+    archived: false,
+    monthlyBudget: { $gt: 0 }
+  }).sort({ name: 1 });
+
+  const spending = await getMonthlySpending(
+    group,
+    month,
+    categories.map(category => category.key)
+  );
+
+  return categories.map(category => {
+    const spent = spending[category.key] || 0;
+    return {
+      category: {
+        _id: category._id,
+        name: category.name,
+        key: category.key,
+        icon: category.icon,
+        color: category.color
+      },
+      month,
+      currency: group.baseCurrency || 'USD',
+      budget: category.monthlyBudget,
+      spent,
+      remaining: parseFloat((category.monthlyBudget - spent).toFixed(getCurrencyDecimals(group.baseCurrency))),
+      percentUsed: Math.round((spent / category.monthlyBudget) * 100)
+    };
+  });
+};
+
+/**
+ * Notify group members when spending in a category crosses a budget threshold
+ * (80% and 100% by default). Each threshold is notified at most once a month.
+ * @param {Object} group - Group document
+ * @param {string} categoryKey - Category key of the expense that was added or changed
+ * @param {Date} [date] - Expense date, selects the budget month
+ * @returns {Promise} Promise that resolves once notifications are sent
+ */
+const checkCategoryBudget = async (group, categoryKey, date) => {
+  const category = await Category.findOne({
+    groupId: group._id,
+    key: categoryKey,
+    monthlyBudget: { $gt: 0 }
+  });
+  if (!category) return;
+
+  const month = toMonth(date);
+  const spending = await getMonthlySpending(group, month, [category.key]);
+  const spent = spending[category.key] || 0;
+
+  // Claim each crossed threshold so concurrent expenses don't notify twice
+  const crossed = [];
+  for (const threshold of BUDGET_ALERT_THRESHOLDS) {
+    if (spent < category.monthlyBudget * threshold / 100) continue;
+
+    const claim = await Category.updateOne(
+      { _id: category._id, budgetAlerts: { $not: { $elemMatch: { month, threshold } } } },
+      { $push: { budgetAlerts: { month, threshold } } }
+    );
+    if (claim.modifiedCount > 0) {
+      crossed.push(threshold);
+    }
+  }
+
+  if (crossed.length === 0) return;
+
+  const currency = group.baseCurrency || 'USD';
+  const percentUsed = Math.round((spent / category.monthlyBudget) * 100);
+  const message = `Spending on "${category.name}" in group "${group.name}" has reached ${percentUsed}% ` +
+    `of its monthly budget (${currency} ${spent.toFixed(getCurrencyDecimals(currency))} ` +
+    `of ${category.monthlyBudget.toFixed(getCurrencyDecimals(currency))})`;
+
+  const notificationPromises = group.members.map(memberId =>
+    Notification.create({
+      userId: memberId,
+      message,
+      relatedResource: {
+        resourceType: 'group',
+        resourceId: group._id
+      }
+    })
+  );
+
+  await Promise.all(notificationPromises);
+};
+
+module.exports = {
+  toCategoryKey,
+  toMonth,
+  ensureDefaultCategories,
+  resolveCategory,
+  getBudgetStatus,
+  checkCategoryBudget
+};
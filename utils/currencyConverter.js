@@ -1,57 +1,160 @@
-const axios = require('axios');
-const { EXCHANGE_RATE_API_URL } = require('../config/constants');
+const ExchangeRate = require('../models/ExchangeRate');
+const { getProviders } = require('./exchangeRateProviders');
+const { toMinorUnits, fromMinorUnits } = require('./money');
 
-// Cache exchange rates to minimize API calls
-let exchangeRatesCache = {};
-let lastFetchTime = 0;
+// Cache exchange rates to minimize provider calls and database lookups.
+// Entries are keyed by base currency and day, each with its own fetch time.
+const exchangeRatesCache = {};
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour in milliseconds
 
-const fetchExchangeRates = async (baseCurrency) => {
-  const currentTime = Date.now();
-  
-  // If we have cached rates for this currency and they're still fresh
-  if (
-    exchangeRatesCache[baseCurrency] && 
-    currentTime - lastFetchTime < CACHE_TTL
-  ) {
-    return exchangeRatesCache[baseCurrency];
-  }
-  
+// Get the UTC day (YYYY-MM-DD) of a date
+const toDay = (date = new Date()) => new Date(date).toISOString().slice(0, 10);
+
+// Save provider rates so later conversions for that day don't need the provider
+const storeRates = async (base, day, source, rates) => {
   try {
-    const response = await axios.get(`${EXCHANGE_RATE_API_URL}${baseCurrency}`);
-    
-    if (response.data && response.data.rates) {
-      // Update cache
-      exchangeRatesCache[baseCurrency] = response.data.rates;
-      lastFetchTime = currentTime;
-      return response.data.rates;
-    }
-    
-    throw new Error('Invalid response from exchange rate API');
+    await ExchangeRate.findOneAndUpdate(
+      { base, date: day, source },
+      { $set: { rates } },
+      { upsert: true }
+    );
   } catch (error) {
-    console.error('Error fetching exchange rates:', error.message);
+    console.error('Error storing exchange rates:', error.message);
+  }
+};
+
+// Find stored rates for a base currency, either for exactly that day or the
+// last days before it. Entries are merged so a currency missing from one entry
+// comes from the next: newer days first, and manually entered rates before
+// provider rates of the same day.
+const findStoredRates = async (base, day, { exact }) => {
+  const entries = await ExchangeRate.find({
+    base,
+    date: exact ? day : { $lte: day }
+  }).sort({ date: -1 }).limit(10);
+
+  if (entries.length === 0) return null;
+
+  entries.sort((a, b) => b.date.localeCompare(a.date) ||
+    (b.source === 'manual') - (a.source === 'manual'));
+
+  const rates = {};
+  for (const entry of [...entries].reverse()) {
+    Object.assign(rates, Object.fromEntries(entry.rates));
+  }
+  return { rates, date: entries[0].date, source: entries[0].source };
+};
+
+// Get the rates for a base currency and day. Sources are tried in priority order until
+// one has `target`; a source that only covers some currencies doesn't hide the others.
+const fetchExchangeRates = async (baseCurrency, day = toDay(), target) => {
+  const cacheKey = `${baseCurrency}:${day}`;
+  const cached = exchangeRatesCache[cacheKey];
+  const hasTarget = (rates) => !target || rates[target] !== undefined;
+
+  // If we have cached rates for this currency and day and they're still fresh
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL && hasTarget(cached.rates)) {
+    return cached.rates;
+  }
+
+  const cacheRates = (rates) => {
+    exchangeRatesCache[cacheKey] = { rates, fetchedAt: Date.now() };
+    return rates;
+  };
+
+  const isToday = day === toDay();
+
+  // Rates found so far; earlier sources win for currencies several of them have
+  let merged = null;
+  const addRates = (rates) => {
+    merged = { ...rates, ...merged };
+    return hasTarget(merged);
+  };
+
+  // Rates for past days never change once stored
+  if (!isToday) {
+    const stored = await findStoredRates(baseCurrency, day, { exact: true });
+    if (stored && addRates(stored.rates)) return cacheRates(merged);
+  }
+
+  // Ask each configured provider in turn
+  for (const provider of getProviders()) {
+    if (!isToday && !provider.supportsHistorical) continue;
+
+    try {
+      const rates = await provider.getRates(baseCurrency, day);
+      if (rates) {
+        if (provider.name !== 'manual') {
+          await storeRates(baseCurrency, day, provider.name, rates);
+        }
+        if (addRates(rates)) return cacheRates(merged);
+      }
+    } catch (error) {
+      console.error(`Error fetching exchange rates from ${provider.name} provider:`, error.message);
+    }
+  }
+
+  // All providers are down or don't have the currency: fall back to the last known rates
+  const lastKnown = await findStoredRates(baseCurrency, day, { exact: false });
+  if (lastKnown) {
+    console.warn(`Using last known ${baseCurrency} exchange rates from ${lastKnown.date} (${lastKnown.source})`);
+    addRates(lastKnown.rates);
+  }
+
+  if (!merged) {
     throw new Error('Failed to fetch exchange rates');
   }
+  return merged;
 };
 
-const convertCurrency = async (amount, fromCurrency, toCurrency) => {
+/**
+ * Get the unrounded rate for converting one unit of fromCurrency into toCurrency
+ * @param {string} fromCurrency - Currency code to convert from
+ * @param {string} toCurrency - Currency code to convert to
+ * @param {Date} [date] - Day the rate should apply to, defaults to today
+ * @returns {Promise<number>} Exchange rate
+ */
+const getExchangeRate = async (fromCurrency, toCurrency, date) => {
+  if (fromCurrency === toCurrency) {
+    return 1;
+  }
+
+  const rates = await fetchExchangeRates(fromCurrency, toDay(date), toCurrency);
+
+  if (!rates[toCurrency]) {
+    throw new Error(`Exchange rate not found for ${toCurrency}`);
+  }
+
+  return rates[toCurrency];
+};
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount to convert
+ * @param {string} fromCurrency - Currency code to convert from
+ * @param {string} toCurrency - Currency code to convert to
+ * @param {Date} [date] - Convert as of this day, defaults to today
+ * @returns {Promise<number>} Converted amount, rounded to the target currency's decimal places
+ */
+const convertCurrency = async (amount, fromCurrency, toCurrency, date) => {
   if (fromCurrency === toCurrency) {
     return amount;
   }
-  
+
   try {
-    const rates = await fetchExchangeRates(fromCurrency);
-    
-    if (!rates[toCurrency]) {
-      throw new Error(`Exchange rate not found for ${toCurrency}`);
-    }
-    
-    const convertedAmount = amount * rates[toCurrency];
-    return parseFloat(convertedAmount.toFixed(2)); // Round to 2 decimal places
+    const rate = await getExchangeRate(fromCurrency, toCurrency, date);
+
+    // Round to the target currency's decimal places (0 for JPY, 3 for KWD)
+    return fromMinorUnits(toMinorUnits(amount * rate, toCurrency), toCurrency);
   } catch (error) {
     console.error('Currency conversion error:', error.message);
     throw error;
   }
 };
 
-module.exports = { convertCurrency }; 
\ No newline at end of file
+// Drop cached rates for a base currency and day, e.g. after an admin enters rates
+const clearCachedRates = (baseCurrency, day) => {
+  delete exchangeRatesCache[`${baseCurrency}:${day}`];
+};
+
+module.exports = { convertCurrency, getExchangeRate, clearCachedRates, toDay };
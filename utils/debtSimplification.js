@@ -0,0 +1,180 @@
+const { OPTIMAL_SIMPLIFICATION_MAX_MEMBERS } = require('../config/constants');
+
+// 'none': pay back every pairwise debt as is
+// 'greedy': largest debtor pays largest creditor until everyone is even
+// 'optimal': fewest possible transfers, for groups up to OPTIMAL_SIMPLIFICATION_MAX_MEMBERS
+// All amounts are integer minor units.
+const STRATEGIES = ['none', 'greedy', 'optimal'];
+
+/**
+ * Net pairwise debts so each pair of members has at most one transfer between them
+ * @param {Array} debts - Array of { from, to, amount } debts
+ * @returns {Array} Array of transactions
+ */
+const netPairwiseDebts = (debts) => {
+  const net = {};
+
+  for (const debt of debts) {
+    // Key each pair in a fixed order; positive means the first member owes the second
+    const [first, second] = [debt.from, debt.to].sort();
+    const key = `${first}:${second}`;
+    net[key] = (net[key] || 0) + (debt.from === first ? debt.amount : -debt.amount);
+  }
+
+  const transactions = [];
+  for (const [key, amount] of Object.entries(net)) {
+    const [first, second] = key.split(':');
+    const rounded = Math.abs(Math.round(amount));
+    if (rounded === 0) continue;
+
+    transactions.push(amount > 0
+      ? { from: first, to: second, amount: rounded }
+      : { from: second, to: first, amount: rounded });
+  }
+
+  return transactions;
+};
+
+/**
+ * Greedily match the largest debtor with the largest creditor
+ * @param {Object} balances - Object with user IDs as keys and balance amounts as values
+ * @returns {Array} Array of transactions
+ */
+const greedySimplify = (balances) => {
+  const transactions = [];
+
+  // Create arrays of creditors (positive balance) and debtors (negative balance)
+  const creditors = [];
+  const debtors = [];
+
+  for (const userId in balances) {
+    const balance = Math.round(balances[userId]);
+
+    if (balance > 0) {
+      creditors.push({ id: userId, amount: balance });
+    } else if (balance < 0) {
+      debtors.push({ id: userId, amount: Math.abs(balance) });
+    }
+    // People with exactly 0 balance are excluded
+  }
+
+  // Sort both arrays in descending order (highest amounts first)
+  creditors.sort((a, b) => b.amount - a.amount);
+  debtors.sort((a, b) => b.amount - a.amount);
+
+  // Greedy algorithm to minimize transactions
+  while (debtors.length > 0 && creditors.length > 0) {
+    const debtor = debtors[0];
+    const creditor = creditors[0];
+
+    const amount = Math.min(debtor.amount, creditor.amount);
+
+    if (amount > 0) {
+      transactions.push({
+        from: debtor.id,
+        to: creditor.id,
+        amount
+      });
+    }
+
+    // Update balances
+    debtor.amount -= amount;
+    creditor.amount -= amount;
+
+    // Remove users with zero balance
+    if (debtor.amount === 0) debtors.shift();
+    if (creditor.amount === 0) creditors.shift();
+  }
+
+  return transactions;
+};
+
+/**
+ * Find the minimum number of transfers. Members are split into as many groups as
+ * possible whose balances add up to zero; each group of k members then needs k - 1
+ * transfers. Runs in O(2^n * n) for n members with a non-zero balance.
+ * @param {Object} balances - Object with user IDs as keys and balance amounts as values
+ * @returns {Array} Array of transactions
+ */
+const optimalSimplify = (balances) => {
+  // Whole minor units, so subsets can add up to exactly zero
+  const people = Object.entries(balances)
+    .map(([id, balance]) => ({ id, units: Math.round(balance) }))
+    .filter(person => person.units !== 0);
+
+  if (people.length > OPTIMAL_SIMPLIFICATION_MAX_MEMBERS) {
+    return greedySimplify(balances);
+  }
+
+  // Currency conversion can leave the total a unit or two off zero; absorb it in the largest balance
+  const residual = people.reduce((sum, person) => sum + person.units, 0);
+  if (residual !== 0 && people.length > 0) {
+    const largest = people.reduce((top, person) =>
+      (Math.abs(person.units) > Math.abs(top.units) ? person : top));
+    largest.units -= residual;
+  }
+
+  const members = people.filter(person => person.units !== 0);
+  const count = members.length;
+  if (count === 0) return [];
+
+  const size = 1 << count;
+  const sums = new Float64Array(size);
+  const groups = new Int8Array(size); // most zero-sum groups a subset can be split into
+  const choice = new Int8Array(size); // member removed to reach that split
+
+  for (let mask = 1; mask < size; mask++) {
+    const lowestBit = mask & -mask;
+    sums[mask] = sums[mask ^ lowestBit] + members[31 - Math.clz32(lowestBit)].units;
+
+    let best = -1;
+    for (let i = 0; i < count; i++) {
+      if (!(mask & (1 << i))) continue;
+      if (groups[mask ^ (1 << i)] > best) {
+        best = groups[mask ^ (1 << i)];
+        choice[mask] = i;
+      }
+    }
+    groups[mask] = best + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Walk back from everyone, cutting a new group each time the remaining subset sums to zero
+  const zeroSumGroups = [];
+  let current = [];
+  for (let mask = size - 1; mask > 0;) {
+    const i = choice[mask];
+    current.push(members[i]);
+    mask ^= 1 << i;
+    if (sums[mask] === 0) {
+      zeroSumGroups.push(current);
+      current = [];
+    }
+  }
+
+  // Settle each group on its own; greedy needs at most k - 1 transfers within a zero-sum group
+  return zeroSumGroups.flatMap(group => greedySimplify(
+    Object.fromEntries(group.map(person => [person.id, person.units]))
+  ));
+};
+
+/**
+ * Work out the transfers that settle a set of balances
+ * @param {Object} balances - Object with user IDs as keys and balances in minor units as values
+ * @param {string} [strategy] - One of STRATEGIES, defaults to 'greedy'
+ * @param {Array} [pairwiseDebts] - Array of { from, to, amount } debts, used by 'none'
+ * @returns {Array} Array of transactions { from, to, amount }
+ */
+const simplifyDebts = (balances, strategy = 'greedy', pairwiseDebts = []) => {
+  switch (strategy) {
+    case 'none':
+      return netPairwiseDebts(pairwiseDebts);
+    case 'optimal':
+      return optimalSimplify(balances);
+    case 'greedy':
+      return greedySimplify(balances);
+    default:
+      throw new Error(`Debt simplification strategy must be one of: ${STRATEGIES.join(', ')}`);
+  }
+};
+
+module.exports = { STRATEGIES, simplifyDebts };
@@ -263,4 +263,25 @@ const sendNotificationEmail = async (email, subject, message) => {
   }
 };
 
-module.exports = { sendInviteEmail, sendNotificationEmail }; 
\ No newline at end of file
+/**
+ * Send a user their monthly statement
+ * @param {string} email - Recipient email address
+ * @param {Object} content - subject, text and html of the statement
+ * @returns {Promise} - Promise that resolves when email is sent, and rejects if it could
+ *   not be, so the statement is tried again on the next run
+ */
+const sendStatementEmail = async (email, { subject, text, html }) => {
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || '"Split-Biller" <noreply@split-biller.com>',
+    to: email,
+    subject,
+    text,
+    html
+  };
+
+  const info = await transporter.sendMail(mailOptions);
+  console.log(`Statement email sent: ${info.messageId}`);
+  return info;
+};
+
+module.exports = { sendInviteEmail, sendNotificationEmail, sendStatementEmail }; 
\ No newline at end of file
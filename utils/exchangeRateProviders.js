@@ -0,0 +1,87 @@
+// Exchange rate providers. Each provider exposes:
+//   name                - stored as the `source` of rates it returns
+//   supportsHistorical  - whether it can return rates for past days
+//   getRates(base, day) - resolves to { currency: rate } for 1 unit of base on day
+//                         (YYYY-MM-DD), or null when it has nothing for that day
+// The providers used, and their order, come from EXCHANGE_RATE_PROVIDERS.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const ExchangeRate = require('../models/ExchangeRate');
+const {
+  EXCHANGE_RATE_API_URL,
+  EXCHANGE_RATE_PROVIDERS,
+  EXCHANGE_RATE_FILE
+} = require('../config/constants');
+
+// Rates from the public HTTP API (latest rates only)
+const httpProvider = {
+  name: 'http',
+  supportsHistorical: false,
+  getRates: async (base) => {
+    const response = await axios.get(`${EXCHANGE_RATE_API_URL}${base}`, { timeout: 5000 });
+
+    if (response.data && response.data.rates) {
+      return response.data.rates;
+    }
+
+    throw new Error('Invalid response from exchange rate API');
+  }
+};
+
+// Rates from a static JSON file shaped { "YYYY-MM-DD": { "USD": { "EUR": 0.92 } } }.
+// The latest day on or before the requested day is used.
+const fileProvider = {
+  name: 'file',
+  supportsHistorical: true,
+  getRates: async (base, day) => {
+    if (!EXCHANGE_RATE_FILE) return null;
+
+    const contents = await fs.promises.readFile(path.resolve(EXCHANGE_RATE_FILE), 'utf8');
+    const ratesByDay = JSON.parse(contents);
+
+    const latestDay = Object.keys(ratesByDay)
+      .filter(fileDay => fileDay <= day && ratesByDay[fileDay][base])
+      .sort()
+      .pop();
+
+    return latestDay ? ratesByDay[latestDay][base] : null;
+  }
+};
+
+// Rates entered by an admin through POST /api/exchange-rates, for that exact day
+const manualProvider = {
+  name: 'manual',
+  supportsHistorical: true,
+  getRates: async (base, day) => {
+    const entry = await ExchangeRate.findOne({ base, date: day, source: 'manual' });
+    return entry ? Object.fromEntries(entry.rates) : null;
+  }
+};
+
+const providers = {
+  http: httpProvider,
+  file: fileProvider,
+  manual: manualProvider
+};
+
+/**
+ * Get the configured providers in the order they should be tried
+ * @returns {Array} Array of provider objects
+ */
+const getProviders = () => {
+  return EXCHANGE_RATE_PROVIDERS
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => {
+      if (!providers[name]) {
+        console.error(`Unknown exchange rate provider "${name}" ignored`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => providers[name]);
+};
+
+module.exports = { getProviders, httpProvider, fileProvider, manualProvider };
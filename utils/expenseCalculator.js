@@ -1,13 +1,64 @@
+const { simplifyDebts } = require('./debtSimplification');
+const { allocateMinorUnits, convertMinorUnits } = require('./money');
+
 /**
- * Calculate expense splits based on the specified type
- * @param {number} amount - Total expense amount
- * @param {string} splitType - Type of split ('equal', 'percentage', 'exact')
+ * Get the string ID of a reference that may or may not be populated
+ * @param {Object|string} ref - ObjectId, string ID or populated document
+ * @returns {string} The referenced ID as a string
+ */
+const toId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+/**
+ * Get the rate snapshot for converting an expense into its group's base currency.
+ * Expenses recorded before currencies were stored count as already in the base currency.
+ * @param {Object} expense - Expense object
+ * @returns {number} Exchange rate
+ */
+const getExpenseRate = (expense) => expense.exchangeRate || 1;
+
+/**
+ * Convert an amount of an expense into the group's base currency, using its rate snapshot
+ * @param {Object} expense - Expense object
+ * @param {number} amount - Amount in minor units of the expense currency
+ * @returns {number} Amount in minor units of the base currency
+ */
+const getExpenseBaseAmount = (expense, amount) =>
+  convertMinorUnits(amount, expense.currency, expense.baseCurrency || expense.currency, getExpenseRate(expense));
+
+/**
+ * Get what each payer paid and each participant owes of an expense in the group's base
+ * currency. The total is converted once and then split in proportion to the original
+ * amounts, so the base amounts paid and owed add up to the same total and group
+ * balances still net to zero.
+ * @param {Object} expense - Expense object
+ * @returns {Object} { payers, shares } minor units of the base currency, in the order of
+ *   getExpensePayers(expense) and expense.splits
+ */
+const getExpenseBaseAmounts = (expense) => {
+  const total = getExpenseBaseAmount(expense, expense.amount);
+  const allocate = (amounts) => (amounts.some(amount => amount > 0)
+    ? allocateMinorUnits(total, amounts, expense.roundingOffset || 0)
+    : amounts.map(() => 0));
+
+  return {
+    payers: allocate(getExpensePayers(expense).map(payer => payer.amount)),
+    shares: allocate(expense.splits.map(split => split.share || 0))
+  };
+};
+
+/**
+ * Calculate expense splits based on the specified type. All amounts are integer
+ * minor units; rounding remainders are spread with the largest remainder method.
+ * @param {number} amount - Total expense amount in minor units
+ * @param {string} splitType - Type of split ('equal', 'percentage', 'exact', 'shares', 'adjustment')
  * @param {Array} users - Array of user IDs involved in the expense
- * @param {Object} splitDetails - Object containing split details for percentage or exact splits
+ * @param {Object} splitDetails - Object containing split details keyed by user ID: percentages,
+ *   exact amounts, share counts, or +/- adjustments on top of an equal split (amounts in minor units)
+ * @param {number} [offset] - Rotates who receives leftover minor units when portions tie
  * @returns {Array} Array of split objects with user ID and share amount
  */
-const calculateSplits = (amount, splitType, users, splitDetails = {}) => {
-  if (!amount || amount <= 0) {
+const calculateSplits = (amount, splitType, users, splitDetails = {}, offset = 0) => {
+  if (!amount || amount <= 0 || !Number.isInteger(amount)) {
     throw new Error('Invalid expense amount');
   }
 
@@ -19,47 +70,102 @@ const calculateSplits = (amount, splitType, users, splitDetails = {}) => {
   
   switch (splitType) {
     case 'equal':
-      const share = amount / users.length;
-      for (const userId of users) {
+      allocateMinorUnits(amount, users.map(() => 1), offset).forEach((share, index) => {
         splits.push({
-          user: userId,
-          share: parseFloat(share.toFixed(2))
+          user: users[index],
+          share
         });
-      }
+      });
       break;
     
     case 'percentage':
       // For percentage splits, validate total is 100%
       const totalPercentage = Object.values(splitDetails).reduce((sum, val) => sum + parseFloat(val), 0);
-      if (Math.abs(totalPercentage - 100) > 0.01) {
+      if (Object.values(splitDetails).some(val => isNaN(val) || parseFloat(val) < 0) ||
+          Math.abs(totalPercentage - 100) > 0.01) {
         throw new Error('Total percentage must equal 100%');
       }
       
-      for (const userId in splitDetails) {
-        const percentage = parseFloat(splitDetails[userId]);
-        const share = (percentage / 100) * amount;
+      const percentageUsers = Object.keys(splitDetails);
+      allocateMinorUnits(
+        amount,
+        percentageUsers.map(userId => parseFloat(splitDetails[userId])),
+        offset
+      ).forEach((share, index) => {
         splits.push({
-          user: userId,
-          share: parseFloat(share.toFixed(2))
+          user: percentageUsers[index],
+          share
         });
-      }
+      });
       break;
     
     case 'exact':
       // For exact splits, validate total equals expense amount
-      const totalExact = Object.values(splitDetails).reduce((sum, val) => sum + parseFloat(val), 0);
-      if (Math.abs(totalExact - amount) > 0.01) {
+      if (Object.values(splitDetails).some(val => !Number.isInteger(val) || val < 0)) {
+        throw new Error('Exact shares must be non-negative amounts');
+      }
+      
+      const totalExact = Object.values(splitDetails).reduce((sum, val) => sum + val, 0);
+      if (totalExact !== amount) {
         throw new Error('Total of exact shares must equal expense amount');
       }
       
       for (const userId in splitDetails) {
         splits.push({
           user: userId,
-          share: parseFloat(parseFloat(splitDetails[userId]).toFixed(2))
+          share: splitDetails[userId]
         });
       }
       break;
     
+    case 'shares':
+      // For share splits, each user pays in proportion to their number of shares (e.g. 2:1:1)
+      const totalShares = Object.values(splitDetails).reduce((sum, val) => sum + parseFloat(val), 0);
+      if (Object.values(splitDetails).some(val => isNaN(val) || parseFloat(val) < 0) || totalShares <= 0) {
+        throw new Error('Shares must be non-negative numbers with a positive total');
+      }
+      
+      const shareUsers = Object.keys(splitDetails);
+      const weights = shareUsers.map(userId => parseFloat(splitDetails[userId]));
+      allocateMinorUnits(amount, weights, offset).forEach((share, index) => {
+        splits.push({
+          user: shareUsers[index],
+          share,
+          weight: weights[index]
+        });
+      });
+      break;
+    
+    case 'adjustment':
+      // For adjustment splits, the amount left after adjustments is split equally
+      // among all users, then each user's adjustment is added on top
+      for (const userId in splitDetails) {
+        if (!users.map(user => user.toString()).includes(userId.toString())) {
+          throw new Error(`User ${userId} has an adjustment but is not part of the split`);
+        }
+      }
+      
+      if (Object.values(splitDetails).some(val => !Number.isInteger(val))) {
+        throw new Error('Adjustments must be amounts');
+      }
+      
+      const totalAdjustments = Object.values(splitDetails).reduce((sum, val) => sum + val, 0);
+      
+      const baseShares = allocateMinorUnits(amount - totalAdjustments, users.map(() => 1), offset);
+      users.forEach((userId, index) => {
+        const adjustment = splitDetails[userId.toString()] || 0;
+        const adjustedShare = baseShares[index] + adjustment;
+        if (adjustedShare < 0) {
+          throw new Error('Adjustments cannot leave a user with a negative share');
+        }
+        splits.push({
+          user: userId,
+          share: adjustedShare,
+          adjustment
+        });
+      });
+      break;
+    
     default:
       throw new Error('Invalid split type');
   }
@@ -68,188 +174,583 @@ const calculateSplits = (amount, splitType, users, splitDetails = {}) => {
 };
 
 /**
- * Calculate balances within a group - who owes whom and how much
+ * Calculate splits for an itemized receipt. Each item is shared equally by the
+ * users assigned to it, and tax, tip and service charge are distributed in
+ * proportion to each user's item subtotal. All amounts are integer minor units.
+ * @param {number} amount - Total expense amount
+ * @param {Array} items - Array of { description, amount, users } line items
+ * @param {Object} extras - Object with optional tax, tip and serviceCharge amounts
+ * @param {number} [offset] - Rotates who receives leftover minor units when portions tie
+ * @returns {Array} Array of split objects with user ID and share amount
+ */
+const calculateItemizedSplits = (amount, items, extras = {}, offset = 0) => {
+  if (!amount || amount <= 0 || !Number.isInteger(amount)) {
+    throw new Error('Invalid expense amount');
+  }
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new Error('Please provide at least one item for itemized split');
+  }
+
+  const subtotals = {};
+  let itemsTotal = 0;
+
+  for (const item of items) {
+    if (!Number.isInteger(item.amount) || item.amount < 0) {
+      throw new Error(`Invalid amount for item "${item.description || ''}"`);
+    }
+    if (!item.users || item.users.length === 0) {
+      throw new Error(`Item "${item.description || ''}" must be assigned to at least one user`);
+    }
+
+    allocateMinorUnits(item.amount, item.users.map(() => 1), offset).forEach((portion, index) => {
+      const key = item.users[index].toString();
+      subtotals[key] = (subtotals[key] || 0) + portion;
+    });
+    itemsTotal += item.amount;
+  }
+
+  // Extras are shared in proportion to the items, so a negative one would shift shares around
+  for (const [key, label] of [['tax', 'Tax'], ['tip', 'Tip'], ['serviceCharge', 'Service charge']]) {
+    const value = extras[key] || 0;
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${label} cannot be negative`);
+    }
+  }
+
+  const extrasTotal = ['tax', 'tip', 'serviceCharge']
+    .reduce((sum, key) => sum + (extras[key] || 0), 0);
+
+  if (itemsTotal + extrasTotal !== amount) {
+    throw new Error('Items plus tax, tip and service charge must equal expense amount');
+  }
+
+  if (itemsTotal <= 0) {
+    throw new Error('Items must have a positive total');
+  }
+
+  const users = Object.keys(subtotals);
+  const extraPortions = allocateMinorUnits(extrasTotal, users.map(userId => subtotals[userId]), offset);
+
+  return users.map((userId, index) => ({
+    user: userId,
+    share: subtotals[userId] + extraPortions[index]
+  }));
+};
+
+/**
+ * Build the splits for an expense from a client payload, checking that every
+ * referenced user belongs to the group. Amounts must already be in minor units.
+ * @param {number} amount - Total expense amount
+ * @param {string} splitType - Type of split ('equal', 'percentage', 'exact', 'shares', 'adjustment', 'itemized')
+ * @param {Array} groupMembers - Array of user IDs in the group
+ * @param {Object} options - Split payload: `splits` (userId -> value), `selectedMembers`,
+ *   for itemized splits `items`, `tax`, `tip` and `serviceCharge`, and the rounding `offset`
+ * @returns {Array} Array of split objects with user ID and share amount
+ */
+const buildExpenseSplits = (amount, splitType, groupMembers, {
+  splits,
+  selectedMembers = [],
+  items,
+  tax,
+  tip,
+  serviceCharge,
+  offset = 0
+} = {}) => {
+  const memberIds = groupMembers.map(member => member.toString());
+  const assertMember = (userId) => {
+    if (!memberIds.includes(userId.toString())) {
+      throw new Error(`User ${userId} is not a member of this group`);
+    }
+  };
+
+  // Equal and adjustment splits run over the selected members, or the whole group
+  const participants = selectedMembers && selectedMembers.length > 0
+    ? selectedMembers
+    : groupMembers;
+
+  switch (splitType) {
+    case 'equal':
+      participants.forEach(assertMember);
+      return calculateSplits(amount, splitType, participants, {}, offset);
+
+    case 'adjustment':
+      participants.forEach(assertMember);
+      Object.keys(splits || {}).forEach(assertMember);
+      return calculateSplits(amount, splitType, participants, splits || {}, offset);
+
+    case 'percentage':
+    case 'exact':
+    case 'shares':
+      if (!splits || Object.keys(splits).length === 0) {
+        throw new Error(`Please provide split details for ${splitType} split`);
+      }
+
+      Object.keys(splits).forEach(assertMember);
+      return calculateSplits(amount, splitType, Object.keys(splits), splits, offset);
+
+    case 'itemized':
+      (items || []).forEach(item => (item.users || []).forEach(assertMember));
+      return calculateItemizedSplits(amount, items, { tax, tip, serviceCharge }, offset);
+
+    default:
+      throw new Error('Invalid split type');
+  }
+};
+
+/**
+ * Build the list of payers for an expense, checking that every payer belongs to
+ * the group and that the amounts paid add up to the expense amount
+ * @param {number} amount - Total expense amount in minor units
+ * @param {Array} groupMembers - Array of user IDs in the group
+ * @param {Array} payers - Array of { user, amount } objects in minor units, or empty for a single payer
+ * @param {string} defaultPayer - User ID that paid the full amount when no payers are given
+ * @returns {Array} Array of payer objects with user ID and amount paid
+ */
+const buildExpensePayers = (amount, groupMembers, payers, defaultPayer) => {
+  if (!payers || payers.length === 0) {
+    return [{ user: defaultPayer, amount }];
+  }
+
+  const memberIds = groupMembers.map(member => member.toString());
+  const merged = {};
+
+  for (const payer of payers) {
+    if (!payer.user || !Number.isInteger(payer.amount) || payer.amount <= 0) {
+      throw new Error('Each payer needs a user and a positive amount');
+    }
+    if (!memberIds.includes(toId(payer.user))) {
+      throw new Error(`User ${payer.user} is not a member of this group`);
+    }
+    merged[toId(payer.user)] = (merged[toId(payer.user)] || 0) + payer.amount;
+  }
+
+  const totalPaid = Object.values(merged).reduce((sum, value) => sum + value, 0);
+  if (totalPaid !== amount) {
+    throw new Error('Amounts paid must add up to the expense amount');
+  }
+
+  return Object.entries(merged).map(([user, payerAmount]) => ({
+    user,
+    amount: payerAmount
+  }));
+};
+
+/**
+ * Get the payers of an expense, falling back to `paidBy` for expenses
+ * recorded before multiple payers were supported
+ * @param {Object} expense - Expense object
+ * @returns {Array} Array of { user, amount } objects
+ */
+const getExpensePayers = (expense) => {
+  if (expense.payers && expense.payers.length > 0) {
+    return expense.payers;
+  }
+  return [{ user: expense.paidBy, amount: expense.amount }];
+};
+
+/**
+ * Get the primary payer of an expense, i.e. the one who paid the most
+ * @param {Array} payers - Array of { user, amount } objects
+ * @returns {string} User ID of the primary payer
+ */
+const getPrimaryPayer = (payers) => {
+  return payers.reduce((top, payer) => (payer.amount > top.amount ? payer : top)).user;
+};
+
+/**
+ * Check whether a user paid for (part of) an expense
+ * @param {Object} expense - Expense object
+ * @param {string} userId - ID of the user
+ * @returns {boolean} True if the user is one of the payers
+ */
+const isExpensePayer = (expense, userId) => {
+  return getExpensePayers(expense).some(payer => toId(payer.user) === userId.toString());
+};
+
+/**
+ * Break an expense down into pairwise debts. Each participant owes every other
+ * payer a part of their share proportional to what that payer paid.
+ * @param {Object} expense - Expense object
+ * @returns {Array} Array of { from, to, amount, originalAmount, currency, settled } debts,
+ *   where amount is in minor units of the group's base currency and originalAmount
+ *   in minor units of the expense currency
+ */
+const getExpenseDebts = (expense) => {
+  const payers = getExpensePayers(expense);
+  const weights = payers.map(payer => payer.amount);
+  const { shares: baseShares } = getExpenseBaseAmounts(expense);
+  const debts = [];
+
+  expense.splits.forEach((split, splitIndex) => {
+    // Split the share across payers in whole minor units, in both currencies
+    const portions = allocateMinorUnits(split.share, weights, expense.roundingOffset || 0);
+    const basePortions = allocateMinorUnits(baseShares[splitIndex], weights, expense.roundingOffset || 0);
+
+    payers.forEach((payer, index) => {
+      const originalAmount = portions[index];
+      if (toId(payer.user) === toId(split.user) || originalAmount === 0) return;
+
+      debts.push({
+        from: toId(split.user),
+        to: toId(payer.user),
+        amount: basePortions[index],
+        originalAmount,
+        currency: expense.currency,
+        settled: !!split.settled
+      });
+    });
+  });
+
+  return debts;
+};
+
+/**
+ * Work out how much of a participant's share they owe the other payers of an
+ * expense and how much of that they have paid back so far
+ * @param {Object} expense - Expense object
+ * @param {string} userId - ID of the participant
+ * @returns {Object} { owed, paid, remaining, byPayer } in minor units of the expense
+ *   currency, where byPayer maps each payer's ID to the amount still owed to them
+ */
+const getSplitBalance = (expense, userId) => {
+  const id = userId.toString();
+  const split = expense.splits.find(candidate => toId(candidate.user) === id);
+  const byPayer = {};
+  if (!split) {
+    return { owed: 0, paid: 0, remaining: 0, byPayer };
+  }
+
+  const payments = split.payments || [];
+  const paidTo = {};
+  payments.forEach(payment => {
+    paidTo[toId(payment.to)] = (paidTo[toId(payment.to)] || 0) + payment.amount;
+  });
+
+  // Splits settled before partial payments were tracked have no payment history
+  const settledInFull = split.settled && payments.length === 0;
+
+  const debts = getExpenseDebts(expense)
+    .filter(candidate => candidate.from === id && candidate.originalAmount > 0);
+
+  let owed = 0;
+  for (const debt of debts) {
+    owed += debt.originalAmount;
+    byPayer[debt.to] = settledInFull ? 0 : Math.max(debt.originalAmount - (paidTo[debt.to] || 0), 0);
+  }
+
+  const remaining = Object.values(byPayer).reduce((sum, amount) => sum + amount, 0);
+  return { owed, paid: owed - remaining, remaining, byPayer };
+};
+
+/**
+ * List the expenses where a user still owes part of their share
+ * @param {Array} expenses - Array of expense objects
+ * @param {string} userId - ID of the user
+ * @returns {Array} Array of { expense, owed, paid, remaining } in minor units of each expense currency
+ */
+const getOpenShares = (expenses, userId) => expenses
+  .map(expense => ({ expense, ...getSplitBalance(expense, userId) }))
+  .filter(openShare => openShare.remaining > 0)
+  .map(({ expense, owed, paid, remaining }) => ({ expense, owed, paid, remaining }));
+
+/**
+ * Get a settlement's amount in the group's base currency, using its rate snapshot
+ * @param {Object} settlement - Settlement object
+ * @returns {number} Amount in minor units of the group's base currency
+ */
+const getSettlementBaseAmount = (settlement) => convertMinorUnits(
+  settlement.amount,
+  settlement.currency,
+  settlement.baseCurrency || settlement.currency,
+  settlement.exchangeRate || 1
+);
+
+/**
+ * Summarize a user's position across a set of expenses and the settlement payments
+ * recorded between members. What each member owes the user (or the other way round)
+ * is netted per member, so one payment can cover several expenses. Totals are minor
+ * units of the group's base currency (using each expense's and settlement's rate
+ * snapshot); `byCurrency` holds the same totals in each expense's or settlement's own currency.
+ * @param {Array} expenses - Array of expense objects
+ * @param {string} userId - ID of the user to summarize
+ * @param {Array} [settlements] - Array of settlement objects
+ * @returns {Object} Object with yourShare, youPaid, othersPaidYou, youPaidOthers,
+ *   youNeedToPay, othersYetToPay and byCurrency
+ */
+const calculateUserSummary = (expenses, userId, settlements = []) => {
+  const id = userId.toString();
+  const emptyTotals = () => ({
+    yourShare: 0,
+    youPaid: 0,
+    othersPaidYou: 0,
+    youPaidOthers: 0,
+    youNeedToPay: 0,
+    othersYetToPay: 0
+  });
+  const summary = { ...emptyTotals(), byCurrency: {} };
+
+  const addTo = (key, amount, originalAmount, currency) => {
+    summary[key] += amount;
+    summary.byCurrency[currency] = summary.byCurrency[currency] || emptyTotals();
+    summary.byCurrency[currency][key] += originalAmount;
+  };
+
+  // What each other member owes the user (positive) or is owed by the user (negative),
+  // in the base currency and per currency
+  const positions = {};
+  const positionsByCurrency = {};
+  const addPosition = (memberId, amount, originalAmount, currency) => {
+    positions[memberId] = (positions[memberId] || 0) + amount;
+
+    const currencyPositions = positionsByCurrency[currency] = positionsByCurrency[currency] || {};
+    currencyPositions[memberId] = (currencyPositions[memberId] || 0) + originalAmount;
+  };
+
+  for (const expense of expenses) {
+    const baseAmounts = getExpenseBaseAmounts(expense);
+    getExpensePayers(expense).forEach((payer, index) => {
+      if (toId(payer.user) === id) {
+        addTo('youPaid', baseAmounts.payers[index], payer.amount, expense.currency);
+      }
+    });
+
+    const splitIndex = expense.splits.findIndex(split => toId(split.user) === id);
+    if (splitIndex !== -1) {
+      const userSplit = expense.splits[splitIndex];
+      addTo('yourShare', baseAmounts.shares[splitIndex], userSplit.share, expense.currency);
+    }
+
+    for (const debt of getExpenseDebts(expense)) {
+      if (debt.from === id) {
+        addPosition(debt.to, -debt.amount, -debt.originalAmount, debt.currency);
+      } else if (debt.to === id) {
+        addPosition(debt.from, debt.amount, debt.originalAmount, debt.currency);
+      }
+    }
+  }
+
+  // Payments between members reduce what is owed between them
+  for (const settlement of settlements) {
+    const amount = getSettlementBaseAmount(settlement);
+
+    if (toId(settlement.from) === id) {
+      addTo('youPaidOthers', amount, settlement.amount, settlement.currency);
+      addPosition(toId(settlement.to), amount, settlement.amount, settlement.currency);
+    } else if (toId(settlement.to) === id) {
+      addTo('othersPaidYou', amount, settlement.amount, settlement.currency);
+      addPosition(toId(settlement.from), -amount, -settlement.amount, settlement.currency);
+    }
+  }
+
+  const addOutstanding = (position, addAmount) => {
+    if (position > 0) {
+      addAmount('othersYetToPay', position);
+    } else if (position < 0) {
+      addAmount('youNeedToPay', -position);
+    }
+  };
+
+  Object.values(positions).forEach(position =>
+    addOutstanding(position, (key, amount) => { summary[key] += amount; })
+  );
+
+  for (const [currency, currencyPositions] of Object.entries(positionsByCurrency)) {
+    summary.byCurrency[currency] = summary.byCurrency[currency] || emptyTotals();
+    Object.values(currencyPositions).forEach(position =>
+      addOutstanding(position, (key, amount) => { summary.byCurrency[currency][key] += amount; })
+    );
+  }
+
+  return summary;
+};
+
+/**
+ * Break a user's position down per other member: what each member owes the user
+ * (positive) or is owed by them (negative), and the expenses and settlements it
+ * comes from. Amounts are minor units of the group's base currency; each expense's
+ * `originalAmount` is in minor units of the expense currency.
+ * @param {Array} expenses - Array of expense objects
+ * @param {string} userId - ID of the user
+ * @param {Array} [settlements] - Array of settlement objects
+ * @returns {Object} Member ID -> { balance, expenses: [{ expense, amount, originalAmount }],
+ *   settlements: [{ settlement, amount }] }
+ */
+const calculateCounterpartyBalances = (expenses, userId, settlements = []) => {
+  const id = userId.toString();
+  const counterparties = {};
+  const getCounterparty = (memberId) => {
+    counterparties[memberId] = counterparties[memberId] || { balance: 0, expenses: [], settlements: [] };
+    return counterparties[memberId];
+  };
+
+  for (const expense of expenses) {
+    // Net the debts in both directions, e.g. when both members paid part of the expense
+    const contributions = {};
+    for (const debt of getExpenseDebts(expense)) {
+      if (debt.from !== id && debt.to !== id) continue;
+
+      const memberId = debt.from === id ? debt.to : debt.from;
+      const sign = debt.from === id ? -1 : 1;
+      contributions[memberId] = contributions[memberId] || { amount: 0, originalAmount: 0 };
+      contributions[memberId].amount += sign * debt.amount;
+      contributions[memberId].originalAmount += sign * debt.originalAmount;
+    }
+
+    for (const [memberId, contribution] of Object.entries(contributions)) {
+      const counterparty = getCounterparty(memberId);
+      counterparty.balance += contribution.amount;
+      counterparty.expenses.push({ expense, ...contribution });
+    }
+  }
+
+  // Paying a member means they owe the user more (or are owed less), and vice versa
+  for (const settlement of settlements) {
+    const amount = getSettlementBaseAmount(settlement);
+
+    if (toId(settlement.from) === id) {
+      const counterparty = getCounterparty(toId(settlement.to));
+      counterparty.balance += amount;
+      counterparty.settlements.push({ settlement, amount });
+    } else if (toId(settlement.to) === id) {
+      const counterparty = getCounterparty(toId(settlement.from));
+      counterparty.balance -= amount;
+      counterparty.settlements.push({ settlement, amount: -amount });
+    }
+  }
+
+  return counterparties;
+};
+
+/**
+ * Calculate balances within a group - who owes whom and how much - netting the
+ * settlement payments recorded between members against the expense debts. Balances
+ * are in minor units of the group's base currency; `balancesByCurrency` breaks them
+ * down per expense or settlement currency.
  * @param {Array} expenses - Array of expense objects
  * @param {Array} groupMembers - Array of user IDs in the group
- * @returns {Object} Object containing balances and summary
+ * @param {Array} [settlements] - Array of settlement objects
+ * @param {string} [strategy] - Debt simplification strategy for the transactions
+ * @returns {Object} Object containing balances, balancesByCurrency and transactions
  */
-const calculateGroupBalances = (expenses, groupMembers) => {
+const calculateGroupBalances = (expenses, groupMembers, settlements = [], strategy = 'greedy') => {
   // Initialize balances for all group members
   const balances = {};
   groupMembers.forEach(member => {
-    balances[member] = 0;
+    balances[toId(member)] = 0;
   });
 
+  const balancesByCurrency = {};
+  const addBalance = (userId, amount, originalAmount, currency) => {
+    balances[userId] = (balances[userId] || 0) + amount;
+
+    const currencyBalances = balancesByCurrency[currency] = balancesByCurrency[currency] || {};
+    currencyBalances[userId] = (currencyBalances[userId] || 0) + originalAmount;
+  };
+
   // Process each expense
   expenses.forEach(expense => {
-    const { paidBy, splits } = expense;
+    const baseAmounts = getExpenseBaseAmounts(expense);
     
-    // Add the full amount to the payer's balance (positive = should receive money)
-    balances[paidBy] += expense.amount;
+    // Add what each payer paid to their balance (positive = should receive money)
+    getExpensePayers(expense).forEach((payer, index) => {
+      addBalance(toId(payer.user), baseAmounts.payers[index], payer.amount, expense.currency);
+    });
     
     // Subtract each person's share from their balance (negative = owes money)
-    splits.forEach(split => {
-      balances[split.user] -= split.share;
+    expense.splits.forEach((split, index) => {
+      addBalance(toId(split.user), -baseAmounts.shares[index], -split.share, expense.currency);
     });
   });
 
+  // Whoever paid a settlement is owed that much less, whoever received it is owed that much more
+  settlements.forEach(settlement => {
+    const amount = getSettlementBaseAmount(settlement);
+    addBalance(toId(settlement.from), amount, settlement.amount, settlement.currency);
+    addBalance(toId(settlement.to), -amount, -settlement.amount, settlement.currency);
+  });
+
+  // Without simplification everyone pays back exactly whom they owe; a payment counts
+  // as a debt running the other way
+  const pairwiseDebts = strategy !== 'none' ? [] : [
+    ...expenses.flatMap(getExpenseDebts),
+    ...settlements.map(settlement => ({
+      from: toId(settlement.to),
+      to: toId(settlement.from),
+      amount: getSettlementBaseAmount(settlement)
+    }))
+  ];
+
   // Calculate who owes whom
-  const transactions = simplifyDebts(balances);
+  const transactions = simplifyDebts(balances, strategy, pairwiseDebts);
 
   return {
     balances,
+    balancesByCurrency,
     transactions
   };
 };
 
 /**
- * Simplify debts to minimize the number of transactions needed
- * @param {Object} balances - Object with user IDs as keys and balance amounts as values
- * @returns {Array} Array of simplified transactions
- */
-const simplifyDebts = (balances) => {
-  const transactions = [];
-  
-  // Create arrays of creditors (positive balance) and debtors (negative balance)
-  const creditors = [];
-  const debtors = [];
-
-  for (const userId in balances) {
-    const balance = parseFloat(balances[userId].toFixed(2));
-    
-    if (balance > 0) {
-      creditors.push({ id: userId, amount: balance });
-    } else if (balance < 0) {
-      debtors.push({ id: userId, amount: Math.abs(balance) });
-    }
-    // People with exactly 0 balance are excluded
-  }
-
-  // Sort both arrays in descending order (highest amounts first)
-  creditors.sort((a, b) => b.amount - a.amount);
-  debtors.sort((a, b) => b.amount - a.amount);
-
-  // Greedy algorithm to minimize transactions
-  while (debtors.length > 0 && creditors.length > 0) {
-    const debtor = debtors[0];
-    const creditor = creditors[0];
-    
-    const amount = Math.min(debtor.amount, creditor.amount);
-    
-    if (amount > 0) {
-      transactions.push({
-        from: debtor.id,
-        to: creditor.id,
-        amount: parseFloat(amount.toFixed(2))
-      });
-    }
-    
-    // Update balances
-    debtor.amount -= amount;
-    creditor.amount -= amount;
-    
-    // Remove users with zero balance
-    if (debtor.amount < 0.01) debtors.shift();
-    if (creditor.amount < 0.01) creditors.shift();
-  }
-
-  return transactions;
-};
-
-/**
- * Calculate a user's balance in a group
+ * Calculate a user's balance in a group, in minor units of the group's base currency
  * @param {Array} expenses - Array of expense objects for the group
  * @param {String} userId - ID of the user to calculate balance for
+ * @param {Array} [settlements] - Array of settlement objects for the group
  * @returns {Object} - Object with userOwes and userIsOwed values
  */
-const calculateUserBalance = (expenses, userId) => {
+const calculateUserBalance = (expenses, userId, settlements = []) => {
   let userOwes = 0;
   let userIsOwed = 0;
   
   for (const expense of expenses) {
-    // If user paid for this expense
-    if (expense.paidBy._id.toString() === userId.toString()) {
-      userIsOwed += expense.amount;
-    }
+    const baseAmounts = getExpenseBaseAmounts(expense);
+    
+    // Add whatever the user paid towards this expense
+    getExpensePayers(expense).forEach((payer, index) => {
+      if (toId(payer.user) === userId.toString()) {
+        userIsOwed += baseAmounts.payers[index];
+      }
+    });
     
     // Find user's share in this expense
-    const userSplit = expense.splits.find(split => 
-      split.user._id.toString() === userId.toString()
+    const splitIndex = expense.splits.findIndex(split => 
+      toId(split.user) === userId.toString()
     );
     
-    if (userSplit) {
-      userOwes += userSplit.share;
-    }
-  }
-  
-  return { userOwes, userIsOwed };
-};
-
-/**
- * Calculate simplified payment plan for a group
- * @param {Object} balances - Object with user IDs as keys and balance amounts as values
- * @returns {Array} - Array of payment objects { from, to, amount }
- */
-const calculatePaymentPlan = (balances) => {
-  const payments = [];
-  
-  // Separate positive (creditors) and negative (debtors) balances
-  const creditors = [];
-  const debtors = [];
-  
-  for (const userId in balances) {
-    const balance = balances[userId];
-    
-    if (balance > 0) {
-      creditors.push({ userId, amount: balance });
-    } else if (balance < 0) {
-      debtors.push({ userId, amount: Math.abs(balance) });
+    if (splitIndex !== -1) {
+      userOwes += baseAmounts.shares[splitIndex];
     }
   }
   
-  // Sort by amount (descending)
-  creditors.sort((a, b) => b.amount - a.amount);
-  debtors.sort((a, b) => b.amount - a.amount);
-  
-  // Create payments by matching debtors with creditors
-  let i = 0; // index for creditors
-  let j = 0; // index for debtors
-  
-  while (i < creditors.length && j < debtors.length) {
-    const creditor = creditors[i];
-    const debtor = debtors[j];
-    
-    // Calculate payment amount (minimum of what debtor owes and what creditor is owed)
-    const paymentAmount = Math.min(creditor.amount, debtor.amount);
-    
-    if (paymentAmount > 0) {
-      payments.push({
-        from: debtor.userId,
-        to: creditor.userId,
-        amount: parseFloat(paymentAmount.toFixed(2))
-      });
-    }
-    
-    // Update remaining amounts
-    creditor.amount -= paymentAmount;
-    debtor.amount -= paymentAmount;
-    
-    // Move to next creditor/debtor if their balance is settled
-    if (creditor.amount <= 0.01) {
-      i++;
-    }
-    
-    if (debtor.amount <= 0.01) {
-      j++;
+  // Payments the user made count like money paid, payments received like money owed
+  for (const settlement of settlements) {
+    if (toId(settlement.from) === userId.toString()) {
+      userIsOwed += getSettlementBaseAmount(settlement);
+    } else if (toId(settlement.to) === userId.toString()) {
+      userOwes += getSettlementBaseAmount(settlement);
     }
   }
   
-  return payments;
+  return { userOwes, userIsOwed };
 };
 
 module.exports = {
   calculateSplits,
+  calculateItemizedSplits,
+  buildExpenseSplits,
+  buildExpensePayers,
+  getExpensePayers,
+  getPrimaryPayer,
+  isExpensePayer,
+  getExpenseDebts,
+  getSplitBalance,
+  getOpenShares,
+  getExpenseRate,
+  getExpenseBaseAmount,
+  getExpenseBaseAmounts,
+  getSettlementBaseAmount,
+  calculateUserSummary,
+  calculateCounterpartyBalances,
   calculateGroupBalances,
-  calculateUserBalance,
-  calculatePaymentPlan
+  calculateUserBalance
 }; 
\ No newline at end of file
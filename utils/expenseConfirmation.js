@@ -0,0 +1,70 @@
+// Each participant of an expense confirms or disputes their split. The expense is
+// 'disputed' while any participant disputes it, 'pending' while anyone has yet to
+// respond, and 'confirmed' once everyone has accepted.
+const CONFIRMATION_STATUSES = ['pending', 'confirmed', 'disputed'];
+
+/**
+ * Work out an expense's confirmation status from its splits
+ * @param {Array} splits - Expense splits
+ * @returns {string} 'disputed', 'pending' or 'confirmed'
+ */
+const getConfirmationStatus = (splits) => {
+  if (splits.some(split => split.confirmation === 'disputed')) return 'disputed';
+  if (splits.some(split => split.confirmation === 'pending')) return 'pending';
+  return 'confirmed';
+};
+
+/**
+ * Ask every participant except the given user to confirm their split again,
+ * e.g. for a new expense or after its shares changed
+ * @param {Object} expense - Expense document (or plain object with splits)
+ * @param {string|Object} userId - User who created or edited the expense
+ */
+const requestConfirmations = (expense, userId) => {
+  expense.splits.forEach(split => {
+    const isActor = split.user.toString() === userId.toString();
+    split.confirmation = isActor ? 'confirmed' : 'pending';
+    split.respondedAt = isActor ? new Date() : undefined;
+    split.disputeReason = undefined;
+  });
+  expense.confirmationStatus = getConfirmationStatus(expense.splits);
+};
+
+/**
+ * Get the extra filter for the expenses that count towards a group's balances:
+ * only confirmed ones when the group requires confirmation, everything but
+ * disputed ones when it excludes disputes, otherwise all of them
+ * @param {Object} group - Group document
+ * @returns {Object} Mongo filter to merge into an expense query
+ */
+const getCountedExpenseFilter = (group) => {
+  // Expenses from before confirmations existed have no status and count as confirmed
+  if (group.requireConfirmation) {
+    return { confirmationStatus: { $nin: ['pending', 'disputed'] } };
+  }
+  if (group.excludeDisputedExpenses) {
+    return { confirmationStatus: { $ne: 'disputed' } };
+  }
+  return {};
+};
+
+/**
+ * Check whether an expense counts towards its group's balances
+ * @param {Object} expense - Expense document
+ * @param {Object} group - Group document, or the stand-in of a direct expense
+ * @returns {boolean} True if it counts
+ */
+const isExpenseCounted = (expense, group) => {
+  const status = expense.confirmationStatus || 'confirmed';
+  if (group.requireConfirmation) return status === 'confirmed';
+  if (group.excludeDisputedExpenses) return status !== 'disputed';
+  return true;
+};
+
+module.exports = {
+  CONFIRMATION_STATUSES,
+  getConfirmationStatus,
+  requestConfirmations,
+  getCountedExpenseFilter,
+  isExpenseCounted
+};
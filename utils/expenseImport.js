@@ -0,0 +1,531 @@
+const Expense = require('../models/Expense');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Settlement = require('../models/Settlement');
+const Notification = require('../models/Notification');
+const { prepareGroupExpense, getRateSnapshot, httpError } = require('./expenseService');
+const { ensureDefaultCategories, toCategoryKey } = require('./categories');
+const {
+  getCurrencyDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+  hasValidPrecision,
+  allocateMinorUnits
+} = require('./money');
+const { IMPORT_MAX_ROWS } = require('../config/constants');
+
+// 'generic': one expense per row, in columns named by GENERIC_COLUMNS or the request's mapping
+// 'splitwise': Splitwise's "Export as spreadsheet" layout, with a column per member holding
+//   how much that member is up (positive) or down (negative) on each expense or payment
+const IMPORT_FORMATS = ['generic', 'splitwise'];
+
+// Column headers of a generic CSV, unless the request maps a field to another header
+const GENERIC_COLUMNS = {
+  date: 'Date',
+  title: 'Description',
+  amount: 'Amount',
+  currency: 'Currency',
+  category: 'Category',
+  notes: 'Notes',
+  paidBy: 'Paid By', // "Alice", or "Alice=30; Bob=20" when several people paid
+  splitType: 'Split Type', // equal (default), percentage, exact, shares or adjustment
+  splitWith: 'Split With', // "Alice; Bob" for equal and adjustment splits, defaults to everyone
+  splits: 'Splits' // "Alice=60; Bob=40" for the other split types
+};
+
+const SPLITWISE_COLUMNS = ['date', 'description', 'category', 'cost', 'currency'];
+
+const normalize = (value) => String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+
+/**
+ * Parse CSV text into rows (RFC 4180: quoted fields may hold commas, line breaks and
+ * doubled quotes). Blank lines are left out.
+ * @param {string} text - CSV text
+ * @returns {Array} Array of { line, fields }, where line is the row's first line number
+ */
+const parseCsv = (text) => {
+  // Excel starts its CSV files with a byte order mark
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+    rowLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) {
+      line++;
+    }
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw httpError(400, `Unterminated quoted field starting on line ${rowLine}`);
+  }
+  endRow();
+
+  return rows;
+};
+
+// Parse a number as spreadsheets write it, e.g. "1,234.50"
+const parseNumber = (value) => {
+  const text = String(value === undefined ? '' : value).trim().replace(/,(?=\d{3}(?:\D|$))/g, '');
+  return text === '' ? NaN : Number(text);
+};
+
+// Parse "Alice=60; Bob=40" (or "Alice; Bob") into [{ name, value }]
+const parseNameList = (value) => String(value || '')
+  .split(';')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.lastIndexOf('=');
+    return separator === -1
+      ? { name: entry, value: undefined }
+      : { name: entry.slice(0, separator).trim(), value: entry.slice(separator + 1).trim() };
+  });
+
+const parseDate = (value, errors) => {
+  const date = new Date(String(value || '').trim());
+  if (!value || isNaN(date.getTime())) {
+    errors.push(`Invalid date "${value || ''}"`);
+  }
+  return date;
+};
+
+const checkAmount = (amount, currency, label, errors) => {
+  if (isNaN(amount)) {
+    errors.push(`${label} must be a number`);
+  } else if (!hasValidPrecision(amount, currency)) {
+    errors.push(`${currency} amounts can have at most ${getCurrencyDecimals(currency)} decimal places`);
+  }
+};
+
+/**
+ * Read the rows of a generic CSV into import entries
+ * @param {Array} rows - Parsed CSV rows, the first being the header
+ * @param {Object} group - Group document
+ * @param {Object} [mapping] - Field -> CSV header, overriding GENERIC_COLUMNS
+ * @returns {Array} Import entries
+ */
+const readGenericRows = (rows, group, mapping = {}) => {
+  const [header, ...body] = rows;
+  const columns = { ...GENERIC_COLUMNS, ...mapping };
+  const headers = header.fields.map(normalize);
+
+  const positions = {};
+  for (const [field, column] of Object.entries(columns)) {
+    positions[field] = headers.indexOf(normalize(column));
+  }
+
+  for (const field of ['date', 'title', 'amount', 'paidBy']) {
+    if (positions[field] === -1) {
+      throw httpError(400, `The CSV has no "${columns[field]}" column`);
+    }
+  }
+
+  return body.map(({ line, fields }) => {
+    const value = (field) => (positions[field] === -1 ? '' : (fields[positions[field]] || '').trim());
+    const errors = [];
+
+    const currency = (value('currency') || group.baseCurrency || 'USD').toUpperCase();
+    const amount = parseNumber(value('amount'));
+    checkAmount(amount, currency, 'Amount', errors);
+
+    const title = value('title');
+    if (!title) {
+      errors.push('Missing description');
+    }
+
+    const splitType = normalize(value('splitType')) || 'equal';
+    if (!['equal', 'percentage', 'exact', 'shares', 'adjustment'].includes(splitType)) {
+      errors.push(`Split type must be equal, percentage, exact, shares or adjustment, not "${splitType}"`);
+    }
+
+    // One payer pays everything; several need an amount each
+    const paidBy = parseNameList(value('paidBy'));
+    if (paidBy.length === 0) {
+      errors.push('Missing payer');
+    } else if (paidBy.length > 1 && paidBy.some(payer => payer.value === undefined)) {
+      errors.push('Each payer needs an amount when several people paid, e.g. "Alice=30; Bob=20"');
+    }
+    const payers = paidBy.map(payer => {
+      const payerAmount = payer.value === undefined ? amount : parseNumber(payer.value);
+      checkAmount(payerAmount, currency, `Amount paid by ${payer.name}`, errors);
+      return { name: payer.name, amount: payerAmount };
+    });
+
+    const splits = {};
+    parseNameList(value('splits')).forEach(split => {
+      splits[split.name] = parseNumber(split.value);
+      if (isNaN(splits[split.name])) {
+        errors.push(`Split for ${split.name} must be a number`);
+      }
+    });
+
+    return {
+      line,
+      type: 'expense',
+      date: parseDate(value('date'), errors),
+      title,
+      amount,
+      currency,
+      category: value('category'),
+      notes: value('notes') || undefined,
+      splitType,
+      payers,
+      splits,
+      selectedMembers: parseNameList(value('splitWith')).map(member => member.name),
+      errors,
+      warnings: []
+    };
+  });
+};
+
+/**
+ * Read the rows of a Splitwise export into import entries. Splitwise only exports how
+ * much each member is up or down, so the payers are taken to be the members who are up:
+ * members who are down owe exactly that much, and whatever is left of the cost is the
+ * payers' own share. That keeps every balance exactly as it was in Splitwise.
+ * @param {Array} rows - Parsed CSV rows, the first being the header
+ * @returns {Array} Import entries
+ */
+const readSplitwiseRows = (rows) => {
+  const [header, ...body] = rows;
+  const headers = header.fields.map(normalize);
+
+  if (SPLITWISE_COLUMNS.some((column, index) => headers[index] !== column)) {
+    throw httpError(400, 'A Splitwise export starts with the columns Date, Description, Category, Cost and Currency');
+  }
+
+  const memberNames = header.fields.slice(SPLITWISE_COLUMNS.length).map(name => name.trim());
+  if (memberNames.length === 0 || memberNames.some(name => !name)) {
+    throw httpError(400, 'A Splitwise export needs a named column for each member');
+  }
+
+  return body
+    // The export ends with a "Total balance" row
+    .filter(({ fields }) => !(fields[0].trim() === '' && normalize(fields[1]) === 'total balance'))
+    .map(({ line, fields }) => {
+      const errors = [];
+      const warnings = [];
+      const currency = (fields[4] || '').trim().toUpperCase();
+      const cost = parseNumber(fields[3]);
+      const title = (fields[1] || '').trim();
+      const category = (fields[2] || '').trim();
+      const date = parseDate(fields[0], errors);
+
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        errors.push(`Invalid currency code "${currency}"`);
+      }
+      if (!title) {
+        errors.push('Missing description');
+      }
+      checkAmount(cost, currency, 'Cost', errors);
+
+      const nets = memberNames.map((name, index) => {
+        const net = fields[SPLITWISE_COLUMNS.length + index];
+        const value = (net || '').trim() === '' ? 0 : parseNumber(net);
+        checkAmount(value, currency, `Balance of ${name}`, errors);
+        return value;
+      });
+
+      const entry = { line, type: 'expense', date, title, amount: cost, currency, category, errors, warnings };
+      if (errors.length > 0) return entry;
+
+      const total = toMinorUnits(cost, currency);
+      const balances = nets.map(net => toMinorUnits(net, currency));
+      const up = memberNames.map((name, index) => ({ name, net: balances[index] })).filter(member => member.net > 0);
+      const down = memberNames.map((name, index) => ({ name, net: balances[index] })).filter(member => member.net < 0);
+      const owed = down.reduce((sum, member) => sum - member.net, 0);
+
+      if (balances.reduce((sum, net) => sum + net, 0) !== 0) {
+        errors.push('Member balances do not add up to zero');
+        return entry;
+      }
+
+      // A payment from the member who is up to the member who is down
+      if (normalize(category) === 'payment') {
+        if (up.length !== 1 || down.length !== 1) {
+          errors.push('A payment needs exactly one member who paid and one who was paid');
+          return entry;
+        }
+        return { ...entry, type: 'payment', from: up[0].name, to: down[0].name, amount: fromMinorUnits(owed, currency) };
+      }
+
+      if (owed === 0) {
+        warnings.push('Nobody owes anything for this expense, so it is skipped');
+        return { ...entry, skipped: true };
+      }
+      if (owed > total) {
+        errors.push('Member balances are larger than the cost');
+        return entry;
+      }
+
+      // Whatever the members who are down don't owe is the payers' own share
+      const payerShares = owed < total
+        ? allocateMinorUnits(total - owed, up.map(member => member.net))
+        : up.map(() => 0);
+
+      const splits = {};
+      down.forEach(member => { splits[member.name] = fromMinorUnits(-member.net, currency); });
+      up.forEach((member, index) => {
+        if (payerShares[index] > 0) {
+          splits[member.name] = fromMinorUnits(payerShares[index], currency);
+        }
+      });
+
+      return {
+        ...entry,
+        splitType: 'exact',
+        splits,
+        payers: up.map((member, index) => ({
+          name: member.name,
+          amount: fromMinorUnits(member.net + payerShares[index], currency)
+        })),
+        selectedMembers: []
+      };
+    });
+};
+
+// Every member name an import entry refers to
+const getEntryNames = (entry) => (entry.type === 'payment'
+  ? [entry.from, entry.to]
+  : [
+    ...(entry.payers || []).map(payer => payer.name),
+    ...Object.keys(entry.splits || {}),
+    ...(entry.selectedMembers || [])
+  ]);
+
+/**
+ * Match the member names used in a CSV to group members by name, username, email or ID
+ * (case-insensitive). Names given in overrides are matched by the value they map to.
+ * @param {Array} names - Member names found in the CSV
+ * @param {Array} members - Group members with name, username and email
+ * @param {Object} [overrides] - CSV name -> user ID, username, email or name
+ * @returns {Object} CSV name -> { user } or { error }
+ */
+const matchMembers = (names, members, overrides = {}) => {
+  const matches = {};
+
+  for (const name of names) {
+    const wanted = normalize(Object.prototype.hasOwnProperty.call(overrides, name) ? overrides[name] : name);
+    const candidates = members.filter(member =>
+      [member._id.toString(), member.name, member.username, member.email].map(normalize).includes(wanted)
+    );
+
+    if (candidates.length === 1) {
+      matches[name] = { user: candidates[0] };
+    } else if (candidates.length === 0) {
+      matches[name] = { error: `No group member matches "${name}"` };
+    } else {
+      matches[name] = { error: `"${name}" matches several group members` };
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Parse and validate a CSV of expenses for a group, and optionally create them.
+ * Expenses go through the same split and payer validation as POST /api/expenses.
+ * Nothing is created unless every row is valid; then all expenses (and, for Splitwise
+ * exports, payments) are saved in one batch.
+ * @param {Object} group - Group document
+ * @param {Object} creator - User document of whoever is importing
+ * @param {string} csv - CSV text
+ * @param {Object} [options] - format (one of IMPORT_FORMATS), mapping (generic column
+ *   headers), members (CSV name -> user) and commit (false for a dry run)
+ * @returns {Promise<Object>} Import report with the parsed rows, member matches and what was created
+ */
+const importExpenses = async (group, creator, csv, options = {}) => {
+  const { format = 'generic', mapping, members: overrides, commit = false } = options;
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw httpError(400, `Import format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const rows = parseCsv(csv);
+  if (rows.length < 2) {
+    throw httpError(400, 'The CSV has no rows to import');
+  }
+  if (rows.length - 1 > IMPORT_MAX_ROWS) {
+    throw httpError(400, `At most ${IMPORT_MAX_ROWS} rows can be imported at once`);
+  }
+
+  const entries = format === 'splitwise'
+    ? readSplitwiseRows(rows)
+    : readGenericRows(rows, group, mapping);
+
+  const members = await User.find({ _id: { $in: group.members } }).select('name username email');
+  const names = [...new Set(entries.flatMap(getEntryNames))];
+  const matches = matchMembers(names, members, overrides);
+
+  // Categories the group doesn't have fall back to General
+  await ensureDefaultCategories(group._id);
+  const categoryKeys = new Set(
+    (await Category.find({ groupId: group._id, archived: false }).select('key')).map(category => category.key)
+  );
+
+  const expenses = [];
+  const settlements = [];
+  const roundingOffset = group.expenses ? group.expenses.length : 0;
+
+  for (const entry of entries) {
+    if (entry.errors.length > 0 || entry.skipped) continue;
+
+    const unmatched = getEntryNames(entry).filter(name => !matches[name].user);
+    if (unmatched.length > 0) {
+      entry.errors.push(...new Set(unmatched.map(name => matches[name].error)));
+      continue;
+    }
+    const userId = (name) => matches[name].user._id.toString();
+
+    try {
+      if (entry.type === 'payment') {
+        settlements.push({
+          groupId: group._id,
+          from: userId(entry.from),
+          to: userId(entry.to),
+          amount: toMinorUnits(entry.amount, entry.currency),
+          currency: entry.currency,
+          exchangeRate: await getRateSnapshot(entry.currency, group, entry.date),
+          baseCurrency: group.baseCurrency || 'USD',
+          date: entry.date,
+          method: 'other',
+          note: entry.title,
+          createdBy: creator._id
+        });
+        continue;
+      }
+
+      let category = toCategoryKey(entry.category || 'general');
+      if (!categoryKeys.has(category)) {
+        entry.warnings.push(`Unknown category "${entry.category}", imported as General`);
+        category = 'general';
+      }
+
+      const expense = await prepareGroupExpense(group, creator, {
+        title: entry.title,
+        amount: entry.amount,
+        currency: entry.currency,
+        splitType: entry.splitType,
+        splits: Object.fromEntries(Object.entries(entry.splits).map(([name, value]) => [userId(name), value])),
+        selectedMembers: entry.selectedMembers.map(userId),
+        payers: entry.payers.map(payer => ({ user: userId(payer.name), amount: payer.amount })),
+        category,
+        notes: entry.notes
+      }, {
+        createdAt: entry.date,
+        roundingOffset: roundingOffset + expenses.length
+      });
+
+      // Imported history was already agreed on elsewhere, so it isn't sent out for confirmation
+      expense.splits.forEach(split => {
+        split.confirmation = 'confirmed';
+        split.respondedAt = undefined;
+      });
+      expense.confirmationStatus = 'confirmed';
+
+      expenses.push(expense);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      entry.errors.push(error.message);
+    }
+  }
+
+  const invalid = entries.filter(entry => entry.errors.length > 0).length;
+  const report = {
+    format,
+    commit: !!commit,
+    members: names.map(name => ({
+      name,
+      user: matches[name].user
+        ? { _id: matches[name].user._id, name: matches[name].user.name, email: matches[name].user.email }
+        : null,
+      ...(matches[name].error && { error: matches[name].error })
+    })),
+    rows: entries.map(entry => ({
+      line: entry.line,
+      type: entry.type,
+      date: isNaN(entry.date.getTime()) ? null : entry.date,
+      title: entry.title,
+      amount: isNaN(entry.amount) ? null : entry.amount,
+      currency: entry.currency,
+      ...(entry.type === 'payment' && { from: entry.from, to: entry.to }),
+      skipped: !!entry.skipped,
+      errors: entry.errors,
+      warnings: entry.warnings
+    })),
+    total: entries.length,
+    valid: entries.length - invalid,
+    invalid,
+    created: null
+  };
+
+  if (!commit || invalid > 0) {
+    return report;
+  }
+
+  const createdExpenses = expenses.length > 0 ? await Expense.insertMany(expenses) : [];
+  if (createdExpenses.length > 0) {
+    await Group.findByIdAndUpdate(group._id, {
+      $push: { expenses: { $each: createdExpenses.map(expense => expense._id) } }
+    });
+  }
+  const createdSettlements = settlements.length > 0 ? await Settlement.insertMany(settlements) : [];
+
+  // One notification per member for the whole import
+  await Promise.all(group.members
+    .filter(memberId => memberId.toString() !== creator._id.toString())
+    .map(memberId =>
+      Notification.create({
+        userId: memberId,
+        message: `${creator.username} imported ${createdExpenses.length} expense(s)` +
+          (createdSettlements.length > 0 ? ` and ${createdSettlements.length} payment(s)` : '') +
+          ` into group "${group.name}"`
+      })
+    ));
+
+  report.created = { expenses: createdExpenses.length, settlements: createdSettlements.length };
+  return report;
+};
+
+module.exports = { IMPORT_FORMATS, GENERIC_COLUMNS, parseCsv, importExpenses };
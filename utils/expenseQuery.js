@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const { toCategoryKey } = require('./categories');
+const { CURRENCY_DECIMALS, toMinorUnits } = require('./money');
+const { CONFIRMATION_STATUSES } = require('./expenseConfirmation');
+
+const SORT_FIELDS = ['createdAt', 'amount'];
+const MAX_LIMIT = 100;
+
+/**
+ * Create an error for invalid query parameters that controllers report as 400
+ * @param {string} message - Error message
+ * @returns {Error} Error with a 400 statusCode
+ */
+const queryError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw queryError(`Invalid ${name} date`);
+  }
+  return date;
+};
+
+const parseNumber = (value, name) => {
+  const number = parseFloat(value);
+  if (isNaN(number)) {
+    throw queryError(`Invalid ${name}`);
+  }
+  return number;
+};
+
+const parseObjectId = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw queryError(`Invalid ${name} ID`);
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+// Cursors are opaque to clients: base64 of the last item's sort value and ID
+const encodeCursor = (expense, sortField) => {
+  const value = sortField === 'createdAt' ? expense.createdAt.toISOString() : expense[sortField];
+  return Buffer.from(JSON.stringify({ v: value, id: expense._id.toString() })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return {
+      value: sortField === 'createdAt' ? parseDate(v, 'cursor') : parseNumber(v, 'cursor'),
+      id: parseObjectId(id, 'cursor')
+    };
+  } catch (error) {
+    throw queryError('Invalid cursor');
+  }
+};
+
+/**
+ * Build a MongoDB query for an expense listing from request query parameters:
+ * from, to, category, currency, payer, participant, settled, confirmation, minAmount, maxAmount, q,
+ * sort (createdAt|amount), order (asc|desc), limit and cursor
+ * @param {Object} query - Express req.query
+ * @returns {Object} { filter, sort, limit, sortField } where limit is null when not paginating
+ */
+const buildExpenseQuery = (query) => {
+  const conditions = [];
+
+  // Date range
+  if (query.from || query.to) {
+    const createdAt = {};
+    if (query.from) createdAt.$gte = parseDate(query.from, 'from');
+    if (query.to) createdAt.$lte = parseDate(query.to, 'to');
+    conditions.push({ createdAt });
+  }
+
+  // One or more categories, comma-separated or as a repeated parameter
+  if (query.category) {
+    conditions.push({ category: { $in: [].concat(query.category).join(',').split(',').map(toCategoryKey) } });
+  }
+
+  // One or more currency codes
+  if (query.currency) {
+    const currencies = [].concat(query.currency).join(',').split(',').map(code => code.trim().toUpperCase());
+    if (currencies.some(code => !/^[A-Z]{3}$/.test(code))) {
+      throw queryError('Invalid currency code');
+    }
+    conditions.push({ currency: { $in: currencies } });
+  }
+
+  // Anyone who paid for (part of) the expense
+  if (query.payer) {
+    const payer = parseObjectId(query.payer, 'payer');
+    conditions.push({ $or: [{ paidBy: payer }, { 'payers.user': payer }] });
+  }
+
+  if (query.participant) {
+    conditions.push({ 'splits.user': parseObjectId(query.participant, 'participant') });
+  }
+
+  // settled=true: every split is settled; settled=false: at least one split is open
+  if (query.settled === 'true') {
+    conditions.push({ splits: { $not: { $elemMatch: { settled: { $ne: true } } } } });
+  } else if (query.settled === 'false') {
+    conditions.push({ splits: { $elemMatch: { settled: { $ne: true } } } });
+  } else if (query.settled !== undefined) {
+    throw queryError('settled must be true or false');
+  }
+
+  // Confirmation status; expenses from before confirmations existed count as confirmed
+  if (query.confirmation) {
+    if (!CONFIRMATION_STATUSES.includes(query.confirmation)) {
+      throw queryError(`confirmation must be one of: ${CONFIRMATION_STATUSES.join(', ')}`);
+    }
+    conditions.push(query.confirmation === 'confirmed'
+      ? { confirmationStatus: { $nin: ['pending', 'disputed'] } }
+      : { confirmationStatus: query.confirmation });
+  }
+
+  // Amount range, in major units. Amounts are stored in minor units, so the
+  // range is scaled for each group of currencies sharing a number of decimal places.
+  if (query.minAmount || query.maxAmount) {
+    const minAmount = query.minAmount && parseNumber(query.minAmount, 'minAmount');
+    const maxAmount = query.maxAmount && parseNumber(query.maxAmount, 'maxAmount');
+
+    const currenciesWith = (decimals) => Object.keys(CURRENCY_DECIMALS)
+      .filter(currency => CURRENCY_DECIMALS[currency] === decimals);
+    const listedCurrencies = Object.keys(CURRENCY_DECIMALS); // any other currency has 2 decimals
+
+    // Any currency code with the given decimal places works for scaling
+    const amountRange = (currency) => {
+      const amount = {};
+      if (query.minAmount) amount.$gte = toMinorUnits(minAmount, currency);
+      if (query.maxAmount) amount.$lte = toMinorUnits(maxAmount, currency);
+      return amount;
+    };
+
+    conditions.push({
+      $or: [
+        { currency: { $in: currenciesWith(0) }, amount: amountRange('JPY') },
+        { currency: { $in: currenciesWith(3) }, amount: amountRange('KWD') },
+        { currency: { $nin: listedCurrencies }, amount: amountRange('USD') }
+      ]
+    });
+  }
+
+  // Free-text search on title and notes (uses the expense text index)
+  if (query.q && query.q.trim()) {
+    conditions.push({ $text: { $search: query.q.trim() } });
+  }
+
+  // Sorting
+  // Amounts are sorted as stored, in minor units of each expense's own currency, so an
+  // amount sort is only meaningful across expenses in the same currency
+  const sortField = query.sort || 'createdAt';
+  if (!SORT_FIELDS.includes(sortField)) {
+    throw queryError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw queryError('order must be asc or desc');
+  }
+  const direction = order === 'asc' ? 1 : -1;
+
+  // Cursor pagination: continue after the last item of the previous page
+  if (query.cursor) {
+    const { value, id } = decodeCursor(query.cursor, sortField);
+    const comparison = direction === 1 ? '$gt' : '$lt';
+    conditions.push({
+      $or: [
+        { [sortField]: { [comparison]: value } },
+        { [sortField]: value, _id: { [comparison]: id } }
+      ]
+    });
+  }
+
+  let limit = null;
+  if (query.limit || query.cursor) {
+    limit = query.limit ? parseInt(query.limit, 10) : MAX_LIMIT;
+    if (isNaN(limit) || limit < 1) {
+      throw queryError('limit must be a positive number');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return {
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    sort: { [sortField]: direction, _id: direction },
+    limit,
+    sortField
+  };
+};
+
+/**
+ * Run an expense listing query and send the page. Without `limit` every match is
+ * returned as before; with it, the cursor for the next page is sent in X-Next-Cursor.
+ * @param {Object} res - Express response
+ * @param {Object} baseFilter - Filter restricting the listing (e.g. by group)
+ * @param {Object} expenseQuery - Result of buildExpenseQuery
+ * @param {Function} populate - Adds populate calls to the Mongoose query
+ * @returns {Promise} Promise that resolves when the response is sent
+ */
+const sendExpensePage = async (res, baseFilter, expenseQuery, populate) => {
+  const { filter, sort, limit, sortField } = expenseQuery;
+
+  // Deleted expenses only show up in the group trash
+  let findQuery = Expense.find({ ...baseFilter, deletedAt: null, ...filter }).sort(sort);
+  if (limit) {
+    // Fetch one extra item to know whether there is a next page
+    findQuery = findQuery.limit(limit + 1);
+  }
+
+  const expenses = await populate(findQuery);
+
+  if (limit && expenses.length > limit) {
+    expenses.pop();
+    res.setHeader('X-Next-Cursor', encodeCursor(expenses[expenses.length - 1], sortField));
+  }
+
+  res.json(expenses);
+};
+
+module.exports = { buildExpenseQuery, sendExpensePage };
@@ -0,0 +1,338 @@
+const Expense = require('../models/Expense');
+const Group = require('../models/Group');
+const Notification = require('../models/Notification');
+const {
+  buildExpenseSplits,
+  buildExpensePayers,
+  getExpensePayers,
+  getPrimaryPayer
+} = require('./expenseCalculator');
+const { getExchangeRate } = require('./currencyConverter');
+const { resolveCategory, checkCategoryBudget, toCategoryKey } = require('./categories');
+const { requestConfirmations } = require('./expenseConfirmation');
+const {
+  getCurrencyDecimals,
+  toMinorUnits,
+  formatMinorUnits,
+  hasValidPrecision
+} = require('./money');
+
+/**
+ * Create an error that controllers report with the given HTTP status
+ * @param {number} statusCode - HTTP status code (400 for invalid expense details)
+ * @param {string} message - Error message
+ * @returns {Error} Error with a statusCode
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get the rate snapshot for converting an expense currency into the group's base currency
+ * @param {string} currency - Expense currency code
+ * @param {Object} group - Group document
+ * @param {Date} [date] - Expense date, defaults to today
+ * @returns {Promise<number>} Exchange rate
+ */
+const getRateSnapshot = async (currency, group, date) => {
+  const baseCurrency = group.baseCurrency || 'USD';
+
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw httpError(400, `Invalid currency code ${currency}`);
+  }
+
+  try {
+    return await getExchangeRate(currency, baseCurrency, date);
+  } catch (error) {
+    throw httpError(503, `Could not get an exchange rate from ${currency} to ${baseCurrency}`);
+  }
+};
+
+/**
+ * Build the stand-in group for a direct expense between two users. It has the two
+ * users as members, whoever recorded the expense as admin and the expense currency
+ * as base currency, so membership checks, splits and settlements work as in a group.
+ * @param {Array} members - The two user IDs
+ * @param {string|Object} createdBy - User who recorded the expense
+ * @param {string} currency - Expense currency
+ * @returns {Object} Group-like object with isDirect set
+ */
+const getDirectGroup = (members, createdBy, currency) => ({
+  _id: null,
+  isDirect: true,
+  name: 'Direct',
+  members,
+  createdBy,
+  baseCurrency: (currency || 'USD').toUpperCase()
+});
+
+/**
+ * Get the group an expense belongs to, or the stand-in group of a direct expense
+ * @param {Object} expense - Expense document
+ * @returns {Promise<Object|null>} Group document, stand-in group, or null if the group is gone
+ */
+const getExpenseGroup = async (expense) => {
+  if (!expense.groupId) {
+    return getDirectGroup(expense.members, expense.createdBy, expense.baseCurrency || expense.currency);
+  }
+  return Group.findById(expense.groupId);
+};
+
+/**
+ * Load the expense in req.params.id and its group, checking the user is a member of
+ * the group (the same rule as GET /api/groups/:id/expenses). Sends the 404 or 403
+ * response itself when the check fails.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object>} { expense, group }, or an empty object once a response was sent
+ */
+const findExpenseForMember = async (req, res) => {
+  const expense = await Expense.findById(req.params.id);
+  if (!expense || expense.deletedAt) {
+    res.status(404).json({ message: 'Expense not found' });
+    return {};
+  }
+
+  // Check if group exists (direct expenses get a stand-in with their two users)
+  const group = await getExpenseGroup(expense);
+  if (!group) {
+    res.status(404).json({ message: 'Group not found' });
+    return {};
+  }
+
+  // Check if user is a member of the group
+  if (!group.members.some(member => member.toString() === req.user._id.toString())) {
+    res.status(403).json({ message: 'Not authorized to access this group' });
+    return {};
+  }
+
+  return { expense, group };
+};
+
+/**
+ * Convert the money fields of an expense payload from major units (as sent by
+ * clients) into integer minor units. Percentages and share counts are left as is.
+ * @param {Object} data - Expense payload with any of amount, splitType, splits, items,
+ *   tax, tip, serviceCharge and payers
+ * @param {string} currency - Currency of the amounts
+ * @returns {Object} Copy of the payload with amounts in minor units
+ */
+const toMinorUnitPayload = (data, currency) => {
+  const convert = (value) => {
+    if (value === undefined || value === null || value === '') return value;
+    if (isNaN(value)) {
+      throw httpError(400, 'Amounts must be numbers');
+    }
+    if (!hasValidPrecision(value, currency)) {
+      throw httpError(400, `${currency.toUpperCase()} amounts can have at most ${getCurrencyDecimals(currency)} decimal places`);
+    }
+    return toMinorUnits(value, currency);
+  };
+
+  const converted = { ...data };
+  ['amount', 'tax', 'tip', 'serviceCharge'].forEach(key => {
+    if (key in data) converted[key] = convert(data[key]);
+  });
+
+  // Exact amounts and adjustments are money; percentages and share counts are not
+  if (data.splits && (data.splitType === 'exact' || data.splitType === 'adjustment')) {
+    converted.splits = Object.fromEntries(
+      Object.entries(data.splits).map(([userId, value]) => [userId, convert(value)])
+    );
+  }
+
+  if (Array.isArray(data.items)) {
+    converted.items = data.items.map(item => ({ ...item, amount: convert(item.amount) }));
+  }
+
+  if (Array.isArray(data.payers)) {
+    converted.payers = data.payers.map(payer => ({ ...payer, amount: convert(payer.amount) }));
+  }
+
+  return converted;
+};
+
+/**
+ * Validate an expense and calculate its splits and payers without saving it.
+ * Used by createGroupExpense and by the CSV import, which saves a whole batch at once.
+ * @param {Object} group - Group document the expense belongs to, or a stand-in from getDirectGroup
+ * @param {Object} creator - User document of whoever is adding the expense
+ * @param {Object} data - Expense details as accepted by POST /api/expenses, in major units
+ * @param {Object} [options] - Extra fields to store on the expense (e.g. createdAt, roundingOffset)
+ * @returns {Promise<Object>} The fields of the expense document
+ */
+const prepareGroupExpense = async (group, creator, data, options = {}) => {
+  const { title, category, notes, currency = 'USD', selectedMembers = [], kind } = data;
+  const expenseCurrency = currency.toUpperCase();
+  const {
+    amount,
+    splitType,
+    splits,
+    items,
+    tax,
+    tip,
+    serviceCharge,
+    payers
+  } = toMinorUnitPayload(data, expenseCurrency);
+
+  // Expenses take turns absorbing leftover minor units
+  const roundingOffset = options.roundingOffset ?? (group.expenses ? group.expenses.length : 0);
+
+  let processedSplits;
+  try {
+    processedSplits = buildExpenseSplits(amount, splitType, group.members, {
+      splits,
+      selectedMembers,
+      items,
+      tax,
+      tip,
+      serviceCharge,
+      offset: roundingOffset
+    });
+  } catch (splitError) {
+    throw httpError(400, splitError.message);
+  }
+
+  // Everyone charged except the creator is asked to confirm the expense
+  const confirmation = { splits: processedSplits };
+  requestConfirmations(confirmation, creator._id);
+
+  let processedPayers;
+  try {
+    processedPayers = buildExpensePayers(amount, group.members, payers, creator._id);
+  } catch (payerError) {
+    throw httpError(400, payerError.message);
+  }
+
+  // The category must be one of the group's active categories; direct expenses have no category list
+  const categoryKey = group.isDirect
+    ? toCategoryKey(category || 'general')
+    : (await resolveCategory(group._id, category)).key;
+
+  // Snapshot the exchange rate so balances don't move with the market later
+  const exchangeRate = await getRateSnapshot(expenseCurrency, group, options.createdAt);
+
+  return {
+    title,
+    amount,
+    paidBy: getPrimaryPayer(processedPayers),
+    payers: processedPayers,
+    groupId: group._id,
+    ...(group.isDirect && { members: group.members }),
+    kind,
+    createdBy: creator._id,
+    splitType,
+    splits: processedSplits,
+    confirmationStatus: confirmation.confirmationStatus,
+    ...(splitType === 'itemized' && { items, tax, tip, serviceCharge }),
+    roundingOffset,
+    category: categoryKey,
+    notes,
+    currency: expenseCurrency,
+    exchangeRate,
+    baseCurrency: group.baseCurrency || 'USD',
+    ...options
+  };
+};
+
+/**
+ * Calculate splits and payers for an expense, create it, add it to the group
+ * and notify the members involved. Used by POST /api/expenses and by the
+ * recurring expense scheduler so both go through the same validation.
+ * @param {Object} group - Group document the expense belongs to, or a stand-in from getDirectGroup
+ * @param {Object} creator - User document of whoever is adding the expense
+ * @param {Object} data - Expense details as accepted by POST /api/expenses, in major units
+ * @param {Object} [options] - Extra fields to store on the expense (e.g. createdAt)
+ * @returns {Promise<Object>} The created expense document
+ */
+const createGroupExpense = async (group, creator, data, options = {}) => {
+  const expense = await Expense.create(await prepareGroupExpense(group, creator, data, options));
+  const { title, amount, currency: expenseCurrency, kind, splits: processedSplits } = expense;
+
+  // Add expense to group
+  if (!group.isDirect) {
+    await Group.findByIdAndUpdate(
+      group._id,
+      { $push: { expenses: expense._id } }
+    );
+  }
+
+  // Create notifications for group members involved in the expense
+  const description = `"${title}" (${expenseCurrency} ${formatMinorUnits(amount, expenseCurrency)})`;
+  const notification = {
+    message: group.isDirect
+      ? `${creator.username} added ${kind === 'iou' ? 'an IOU' : 'an expense'} ${description} with you`
+      : `${creator.username} added a new expense ${description} to group "${group.name}"`,
+    relatedResource: {
+      resourceType: 'expense',
+      resourceId: expense._id
+    }
+  };
+
+  // Both users of a direct expense hear about it, whoever paid
+  const involvedMemberIds = group.isDirect
+    ? group.members.map(member => member.toString())
+    : processedSplits.map(split => split.user.toString());
+
+  const notificationPromises = involvedMemberIds
+    .filter(memberId => memberId !== creator._id.toString())
+    .map(memberId =>
+      Notification.create({
+        userId: memberId,
+        ...notification
+      })
+    );
+
+  await Promise.all(notificationPromises);
+
+  // The expense is saved either way, so a failed budget check is only logged
+  if (!group.isDirect) {
+    try {
+      await checkCategoryBudget(group, expense.category, expense.createdAt);
+    } catch (budgetError) {
+      console.error('Category budget check error:', budgetError);
+    }
+  }
+
+  return expense;
+};
+
+/**
+ * Notify everyone who paid for or shares an expense, except the user who acted
+ * @param {Object} expense - Expense document
+ * @param {string|Object} actorId - User who made the change
+ * @param {string} message - Notification text
+ * @returns {Promise} Promise that resolves once the notifications are created
+ */
+const notifyExpenseMembers = async (expense, actorId, message) => {
+  const memberIds = new Set([
+    ...expense.splits.map(split => split.user.toString()),
+    ...getExpensePayers(expense).map(payer => payer.user.toString())
+  ]);
+  memberIds.delete(actorId.toString());
+
+  await Promise.all([...memberIds].map(memberId =>
+    Notification.create({
+      userId: memberId,
+      message,
+      relatedResource: {
+        resourceType: 'expense',
+        resourceId: expense._id
+      }
+    })
+  ));
+};
+
+module.exports = {
+  prepareGroupExpense,
+  createGroupExpense,
+  getDirectGroup,
+  getExpenseGroup,
+  findExpenseForMember,
+  toMinorUnitPayload,
+  getRateSnapshot,
+  notifyExpenseMembers,
+  httpError
+};
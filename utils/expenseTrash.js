@@ -0,0 +1,42 @@
+const Expense = require('../models/Expense');
+const Comment = require('../models/Comment');
+const Reminder = require('../models/Reminder');
+const { removeAttachmentFiles } = require('./attachmentStorage');
+const { EXPENSE_TRASH_RETENTION_DAYS } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the date a deleted expense will be purged from the trash
+ * @param {Object} expense - Deleted expense
+ * @returns {Date} Purge date
+ */
+const getPurgeDate = (expense) =>
+  new Date(new Date(expense.deletedAt).getTime() + EXPENSE_TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Permanently delete expenses that have been in the trash longer than the
+ * retention period, including their receipt files
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of expenses purged
+ */
+const purgeDeletedExpenses = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - EXPENSE_TRASH_RETENTION_DAYS * DAY_MS);
+
+  const expired = await Expense.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .select('attachments');
+
+  if (expired.length === 0) return 0;
+
+  const expenseIds = expired.map(expense => expense._id);
+  await Expense.deleteMany({ _id: { $in: expenseIds } });
+  await Comment.deleteMany({ expenseId: { $in: expenseIds } });
+  await Reminder.deleteMany({ expenseId: { $in: expenseIds } });
+  await removeAttachmentFiles(expired.flatMap(expense => expense.attachments));
+
+  console.log(`Purged ${expired.length} expense(s) from the trash`);
+
+  return expired.length;
+};
+
+module.exports = { getPurgeDate, purgeDeletedExpenses };
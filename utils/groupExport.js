@@ -0,0 +1,381 @@
+const Expense = require('../models/Expense');
+const Settlement = require('../models/Settlement');
+const User = require('../models/User');
+const { calculateGroupBalances, getExpensePayers, getSplitBalance } = require('./expenseCalculator');
+const { isExpenseCounted } = require('./expenseConfirmation');
+const { fromMinorUnits, formatMinorUnits } = require('./money');
+
+// 'csv': one row per expense participant, payment, member balance and settle-up transfer
+// 'json': the same ledger as one JSON document
+// 'ofx': a bank statement of the group from the exporting member's side, for accounting software
+const EXPORT_FORMATS = ['csv', 'json', 'ofx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ofx: 'application/x-ofx'
+};
+
+const CSV_COLUMNS = [
+  'Type', 'ID', 'Date', 'Title', 'Category', 'Paid By', 'Amount', 'Currency',
+  'Status', 'Participant', 'Share', 'Paid', 'Settled'
+];
+
+const toId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+/**
+ * Write a chunk to the response, waiting for it to drain when its buffer is full
+ * so a large export never piles up in memory
+ */
+const write = async (res, chunk) => {
+  if (res.write(chunk)) return;
+
+  await new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+// Quote CSV fields that need it; text starting with = + - @ is prefixed so spreadsheets don't run it
+const csvText = (value) => (/^[=+\-@]/.test(value) ? `'${value}` : value);
+const csvRow = (values) => `${values.map(value => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')}\r\n`;
+
+// OFX 1.x is SGML: escape markup characters and keep dates as YYYYMMDDHHMMSS
+const ofxText = (value, maxLength) => String(value || '')
+  .slice(0, maxLength)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+const ofxDate = (date) => new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+/**
+ * CSV ledger writer
+ */
+const createCsvWriter = (res, { getName }) => ({
+  start: () => write(res, csvRow(CSV_COLUMNS)),
+
+  expense: async (expense) => {
+    const paidBy = getExpensePayers(expense).map(payer => getName(payer.user)).join('; ');
+    for (const split of expense.splits) {
+      const { paid } = getSplitBalance(expense, split.user);
+      await write(res, csvRow([
+        'expense',
+        expense._id,
+        expense.createdAt.toISOString(),
+        csvText(expense.title),
+        csvText(expense.category),
+        csvText(paidBy),
+        formatMinorUnits(expense.amount, expense.currency),
+        expense.currency,
+        expense.confirmationStatus,
+        csvText(getName(split.user)),
+        formatMinorUnits(split.share, expense.currency),
+        formatMinorUnits(paid, expense.currency),
+        split.settled ? 'yes' : 'no'
+      ]));
+    }
+  },
+
+  settlement: (settlement) => write(res, csvRow([
+    'settlement',
+    settlement._id,
+    settlement.date.toISOString(),
+    csvText(settlement.note || ''),
+    settlement.method,
+    csvText(getName(settlement.from)),
+    formatMinorUnits(settlement.amount, settlement.currency),
+    settlement.currency,
+    '',
+    csvText(getName(settlement.to))
+  ])),
+
+  end: async ({ currency, balances, transactions }) => {
+    for (const [memberId, balance] of Object.entries(balances)) {
+      await write(res, csvRow(['balance', memberId, '', '', '', '', formatMinorUnits(balance, currency),
+        currency, '', csvText(getName(memberId))]));
+    }
+    for (const transaction of transactions) {
+      await write(res, csvRow(['transfer', '', '', '', '', csvText(getName(transaction.from)),
+        formatMinorUnits(transaction.amount, currency), currency, '', csvText(getName(transaction.to))]));
+    }
+  }
+});
+
+/**
+ * JSON ledger writer. The document is written piece by piece:
+ * { group, expenses: [...], settlements: [...], balances, transfers }
+ */
+const createJsonWriter = (res, { group, getName }) => {
+  const describe = (userId) => ({ _id: toId(userId), name: getName(userId) });
+  let section = null;
+  let first = true;
+
+  // Open the array of a section, closing the previous one
+  const item = async (name, value) => {
+    if (section !== name) {
+      await write(res, `${section ? '],' : ''}${JSON.stringify(name)}:[`);
+      section = name;
+      first = true;
+    }
+    await write(res, `${first ? '' : ','}${JSON.stringify(value)}`);
+    first = false;
+  };
+
+  return {
+    start: async () => {
+      await write(res, `{"group":${JSON.stringify({
+        _id: group._id,
+        name: group.name,
+        baseCurrency: group.baseCurrency || 'USD',
+        exportedAt: new Date()
+      })},"expenses":[`);
+      section = 'expenses';
+    },
+
+    expense: (expense) => item('expenses', {
+      _id: expense._id,
+      date: expense.createdAt,
+      title: expense.title,
+      category: expense.category,
+      notes: expense.notes,
+      amount: fromMinorUnits(expense.amount, expense.currency),
+      currency: expense.currency,
+      exchangeRate: expense.exchangeRate,
+      confirmationStatus: expense.confirmationStatus,
+      payers: getExpensePayers(expense).map(payer => ({
+        user: describe(payer.user),
+        amount: fromMinorUnits(payer.amount, expense.currency)
+      })),
+      splits: expense.splits.map(split => ({
+        user: describe(split.user),
+        share: fromMinorUnits(split.share, expense.currency),
+        paid: fromMinorUnits(getSplitBalance(expense, split.user).paid, expense.currency),
+        settled: !!split.settled,
+        settledAt: split.settledAt
+      }))
+    }),
+
+    settlement: (settlement) => item('settlements', {
+      _id: settlement._id,
+      date: settlement.date,
+      from: describe(settlement.from),
+      to: describe(settlement.to),
+      amount: fromMinorUnits(settlement.amount, settlement.currency),
+      currency: settlement.currency,
+      method: settlement.method,
+      note: settlement.note,
+      expenseId: settlement.expenseId
+    }),
+
+    end: async ({ currency, balances, transactions }) => {
+      if (section !== 'settlements') {
+        await write(res, '],"settlements":[');
+      }
+      await write(res, `],"currency":${JSON.stringify(currency)},"balances":${JSON.stringify(
+        Object.entries(balances).map(([memberId, balance]) => ({
+          user: describe(memberId),
+          balance: fromMinorUnits(balance, currency)
+        }))
+      )},"transfers":${JSON.stringify(transactions.map(transaction => ({
+        from: describe(transaction.from),
+        to: describe(transaction.to),
+        amount: fromMinorUnits(transaction.amount, currency)
+      })))}}`);
+    }
+  };
+};
+
+/**
+ * OFX statement writer, from the exporting member's side: each counted expense they
+ * paid for or share moves their balance by what they paid minus their share, each
+ * payment they made or received by its amount, and the ledger balance is their final
+ * group balance in the base currency.
+ */
+const createOfxWriter = (res, { group, userId, getName, startDate }) => {
+  const id = userId.toString();
+  const currency = group.baseCurrency || 'USD';
+
+  const transaction = ({ type, date, fitId, amount, transactionCurrency, rate, name, memo }) => write(res, [
+    '<STMTTRN>',
+    `<TRNTYPE>${type}`,
+    `<DTPOSTED>${ofxDate(date)}`,
+    `<TRNAMT>${formatMinorUnits(amount, transactionCurrency)}`,
+    `<FITID>${fitId}`,
+    `<NAME>${ofxText(name, 32)}`,
+    `<MEMO>${ofxText(memo, 255)}`,
+    // Foreign currency amounts carry their rate to the statement currency
+    ...(transactionCurrency !== currency
+      ? [`<CURRENCY><CURRATE>${rate}<CURSYM>${transactionCurrency}</CURRENCY>`]
+      : []),
+    '</STMTTRN>',
+    ''
+  ].join('\r\n'));
+
+  return {
+    start: () => write(res, [
+      'OFXHEADER:100',
+      'DATA:OFXSGML',
+      'VERSION:102',
+      'SECURITY:NONE',
+      'ENCODING:UTF-8',
+      'CHARSET:NONE',
+      'COMPRESSION:NONE',
+      'OLDFILEUID:NONE',
+      'NEWFILEUID:NONE',
+      '',
+      '<OFX>',
+      '<SIGNONMSGSRSV1><SONRS>',
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      `<DTSERVER>${ofxDate(new Date())}`,
+      '<LANGUAGE>ENG',
+      '</SONRS></SIGNONMSGSRSV1>',
+      '<BANKMSGSRSV1><STMTTRNRS>',
+      '<TRNUID>1',
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      '<STMTRS>',
+      `<CURDEF>${currency}`,
+      `<BANKACCTFROM><BANKID>SPLITBILLER<ACCTID>${group._id}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+      '<BANKTRANLIST>',
+      `<DTSTART>${ofxDate(startDate)}`,
+      `<DTEND>${ofxDate(new Date())}`,
+      ''
+    ].join('\r\n')),
+
+    expense: (expense, counted) => {
+      // The statement matches the balance, so only expenses that count and involve this member
+      if (!counted) return undefined;
+
+      const paid = getExpensePayers(expense)
+        .filter(payer => toId(payer.user) === id)
+        .reduce((sum, payer) => sum + payer.amount, 0);
+      const split = expense.splits.find(candidate => toId(candidate.user) === id);
+      if (paid === 0 && !split) return undefined;
+
+      const amount = paid - (split ? split.share : 0);
+      return transaction({
+        type: amount >= 0 ? 'CREDIT' : 'DEBIT',
+        date: expense.createdAt,
+        fitId: expense._id,
+        amount,
+        transactionCurrency: expense.currency,
+        rate: expense.exchangeRate || 1,
+        name: expense.title,
+        memo: `${expense.category}; paid by ${getExpensePayers(expense).map(payer => getName(payer.user)).join(', ')}; ` +
+          `total ${expense.currency} ${formatMinorUnits(expense.amount, expense.currency)}`
+      });
+    },
+
+    settlement: (settlement) => {
+      const isPayer = toId(settlement.from) === id;
+      if (!isPayer && toId(settlement.to) !== id) return undefined;
+
+      return transaction({
+        type: 'XFER',
+        date: settlement.date,
+        fitId: settlement._id,
+        amount: isPayer ? settlement.amount : -settlement.amount,
+        transactionCurrency: settlement.currency,
+        rate: settlement.exchangeRate || 1,
+        name: isPayer ? `Payment to ${getName(settlement.to)}` : `Payment from ${getName(settlement.from)}`,
+        memo: settlement.note || settlement.method
+      });
+    },
+
+    end: ({ balances }) => write(res, [
+      '</BANKTRANLIST>',
+      `<LEDGERBAL><BALAMT>${formatMinorUnits(balances[id] || 0, currency)}<DTASOF>${ofxDate(new Date())}</LEDGERBAL>`,
+      '</STMTRS>',
+      '</STMTTRNRS></BANKMSGSRSV1>',
+      '</OFX>',
+      ''
+    ].join('\r\n'))
+  };
+};
+
+const WRITERS = { csv: createCsvWriter, json: createJsonWriter, ofx: createOfxWriter };
+
+/**
+ * Stream a group's ledger - every expense with each participant's share and settled
+ * state, every payment, and the final balances and settle-up transfers - to a response.
+ * Expenses and payments are read through cursors and written as they arrive; only the
+ * amounts needed for the final balances are kept until the end.
+ * @param {Object} res - Express response
+ * @param {Object} group - Group document
+ * @param {string|Object} userId - Member exporting the ledger (the side an OFX statement is from)
+ * @param {string} format - One of EXPORT_FORMATS
+ */
+const streamGroupExport = async (res, group, userId, format) => {
+  const users = await User.find({ _id: { $in: group.members } }).select('name');
+  const names = Object.fromEntries(users.map(user => [user._id.toString(), user.name]));
+  const getName = (ref) => names[toId(ref)] || toId(ref);
+
+  const filter = { groupId: group._id, deletedAt: null };
+  const firstExpense = await Expense.findOne(filter).sort({ createdAt: 1 }).select('createdAt');
+  const startDate = firstExpense ? firstExpense.createdAt : group.createdAt;
+
+  const writer = WRITERS[format](res, { group, userId, getName, startDate });
+  const fileName = `${group.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'group'}-ledger.${format}`;
+
+  res.status(200);
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+  await writer.start();
+
+  // Only expenses that count towards balances go into the final balances
+  const balanceExpenses = [];
+  for await (const expense of Expense.find(filter).sort({ createdAt: 1 }).cursor()) {
+    if (res.destroyed) return;
+
+    const counted = isExpenseCounted(expense, group);
+    if (counted) {
+      balanceExpenses.push({
+        amount: expense.amount,
+        currency: expense.currency,
+        exchangeRate: expense.exchangeRate,
+        baseCurrency: expense.baseCurrency,
+        roundingOffset: expense.roundingOffset,
+        paidBy: expense.paidBy,
+        payers: expense.payers.map(payer => ({ user: payer.user, amount: payer.amount })),
+        splits: expense.splits.map(split => ({ user: split.user, share: split.share }))
+      });
+    }
+    await writer.expense(expense, counted);
+  }
+
+  const balanceSettlements = [];
+  for await (const settlement of Settlement.find({ groupId: group._id }).sort({ date: 1 }).cursor()) {
+    if (res.destroyed) return;
+
+    balanceSettlements.push({
+      from: settlement.from,
+      to: settlement.to,
+      amount: settlement.amount,
+      currency: settlement.currency,
+      exchangeRate: settlement.exchangeRate,
+      baseCurrency: settlement.baseCurrency
+    });
+    await writer.settlement(settlement);
+  }
+
+  const { balances, transactions } = calculateGroupBalances(
+    balanceExpenses,
+    group.members,
+    balanceSettlements,
+    group.debtSimplification || 'greedy'
+  );
+
+  await writer.end({ currency: group.baseCurrency || 'USD', balances, transactions });
+  res.end();
+};
+
+module.exports = { EXPORT_FORMATS, streamGroupExport };
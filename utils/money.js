@@ -0,0 +1,126 @@
+// Money is stored and calculated in integer minor units (cents for USD, yen for JPY,
+// fils for KWD) so totals never drift. API requests and responses use major units.
+
+// ISO 4217 currencies that don't use two decimal places
+const CURRENCY_DECIMALS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+};
+
+/**
+ * Get the number of decimal places a currency uses
+ * @param {string} [currency] - Currency code, defaults to USD
+ * @returns {number} Decimal places (0, 2 or 3)
+ */
+const getCurrencyDecimals = (currency = 'USD') => {
+  const decimals = CURRENCY_DECIMALS[String(currency).toUpperCase()];
+  return decimals === undefined ? 2 : decimals;
+};
+
+/**
+ * Convert a major-unit amount (e.g. 12.34) into integer minor units (1234)
+ * @param {number|string} amount - Amount in major units
+ * @param {string} [currency] - Currency code
+ * @returns {number} Integer amount in minor units
+ */
+const toMinorUnits = (amount, currency) => {
+  const scaled = Number(amount) * 10 ** getCurrencyDecimals(currency);
+  // toPrecision drops float noise such as 1.005 * 100 = 100.49999999999999
+  return Math.round(parseFloat(scaled.toPrecision(15)));
+};
+
+/**
+ * Convert integer minor units back into a major-unit amount
+ * @param {number} minorUnits - Amount in minor units
+ * @param {string} [currency] - Currency code
+ * @returns {number} Amount in major units
+ */
+const fromMinorUnits = (minorUnits, currency) => {
+  const decimals = getCurrencyDecimals(currency);
+  return parseFloat((minorUnits / 10 ** decimals).toFixed(decimals));
+};
+
+/**
+ * Format minor units for messages, e.g. "12.50" or "1500" for JPY
+ * @param {number} minorUnits - Amount in minor units
+ * @param {string} [currency] - Currency code
+ * @returns {string} Amount with the currency's decimal places
+ */
+const formatMinorUnits = (minorUnits, currency) =>
+  fromMinorUnits(minorUnits, currency).toFixed(getCurrencyDecimals(currency));
+
+/**
+ * Check that a major-unit amount has no more decimal places than its currency allows
+ * @param {number|string} amount - Amount in major units
+ * @param {string} [currency] - Currency code
+ * @returns {boolean} True if the amount can be stored exactly
+ */
+const hasValidPrecision = (amount, currency) => {
+  const scaled = Number(amount) * 10 ** getCurrencyDecimals(currency);
+  return Math.abs(scaled - toMinorUnits(amount, currency)) < 1e-6;
+};
+
+/**
+ * Convert minor units of one currency into minor units of another at a given rate
+ * @param {number} minorUnits - Amount in minor units of fromCurrency
+ * @param {string} fromCurrency - Currency of the amount
+ * @param {string} toCurrency - Currency to convert into
+ * @param {number} rate - Value of one unit of fromCurrency in toCurrency
+ * @returns {number} Integer amount in minor units of toCurrency
+ */
+const convertMinorUnits = (minorUnits, fromCurrency, toCurrency, rate) => {
+  const scale = 10 ** (getCurrencyDecimals(toCurrency) - getCurrencyDecimals(fromCurrency));
+  return Math.round(minorUnits * rate * scale);
+};
+
+/**
+ * Split an integer total in proportion to weights using the largest remainder method:
+ * everyone gets the rounded-down part of their exact portion, and the units left over
+ * go to the largest fractional parts. Ties are broken by rotating from `offset`, so
+ * the same person doesn't always absorb the extra cent.
+ * @param {number} total - Integer amount to split (may be negative)
+ * @param {Array} weights - Non-negative weights with a positive sum
+ * @param {number} [offset] - Position that wins the first tie, e.g. a per-expense counter
+ * @returns {Array} Integer portions, in the order of the weights, adding up to total
+ */
+const allocateMinorUnits = (total, weights, offset = 0) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weights.length === 0 || !(totalWeight > 0)) {
+    throw new Error('Cannot split an amount without positive weights');
+  }
+
+  // Allocate the magnitude and restore the sign at the end
+  const sign = total < 0 ? -1 : 1;
+  const magnitude = Math.abs(total);
+  const count = weights.length;
+  const start = ((offset % count) + count) % count;
+
+  const exact = weights.map(weight => (magnitude * weight) / totalWeight);
+  const portions = exact.map(value => Math.floor(value + 1e-9));
+  let remaining = magnitude - portions.reduce((sum, portion) => sum + portion, 0);
+
+  const order = exact
+    .map((value, index) => ({ index, fraction: value - portions[index] }))
+    .sort((a, b) =>
+      (b.fraction - a.fraction) ||
+      ((a.index - start + count) % count) - ((b.index - start + count) % count)
+    );
+
+  for (let i = 0; remaining > 0; i = (i + 1) % count, remaining--) {
+    portions[order[i].index]++;
+  }
+
+  return portions.map(portion => sign * portion);
+};
+
+module.exports = {
+  CURRENCY_DECIMALS,
+  getCurrencyDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMinorUnits,
+  hasValidPrecision,
+  convertMinorUnits,
+  allocateMinorUnits
+};
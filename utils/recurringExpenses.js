@@ -0,0 +1,244 @@
+const RecurringExpense = require('../models/RecurringExpense');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { createGroupExpense } = require('./expenseService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Move a date to the given year/month/day, keeping its time of day and clamping
+ * the day to the length of the month (e.g. the 31st becomes Feb 28th)
+ */
+const withDay = (date, year, month, day) => {
+  const result = new Date(date);
+  result.setUTCFullYear(year, month, Math.min(day, daysInMonth(year, month)));
+  return result;
+};
+
+/**
+ * Fix the day (and for yearly rules, the month) of a monthly or yearly rule to the
+ * start date's when the rule leaves them out. Otherwise each occurrence would take its
+ * day from the previous one, so a schedule clamped from the 31st to Feb 28th would
+ * stay on the 28th for good.
+ * @param {Object} recurrence - Recurrence rule (frequency, interval, dayOfWeek, dayOfMonth, month)
+ * @param {Date} startDate - Schedule start date
+ * @returns {Object} Recurrence rule with dayOfMonth (and month) filled in
+ */
+const pinRecurrenceDay = (recurrence, startDate) => {
+  const start = new Date(startDate);
+  const pinned = { ...recurrence };
+
+  if (recurrence.frequency === 'monthly' || recurrence.frequency === 'yearly') {
+    pinned.dayOfMonth = recurrence.dayOfMonth ?? start.getUTCDate();
+  }
+  if (recurrence.frequency === 'yearly') {
+    pinned.month = recurrence.month ?? start.getUTCMonth();
+  }
+  return pinned;
+};
+
+/**
+ * Get the first occurrence of a recurrence rule on or after a date
+ * @param {Object} recurrence - Recurrence rule (frequency, interval, dayOfWeek, dayOfMonth, month)
+ * @param {Date} fromDate - Earliest allowed occurrence
+ * @returns {Date} First occurrence
+ */
+const getFirstOccurrence = (recurrence, fromDate) => {
+  const from = new Date(fromDate);
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth();
+
+  switch (recurrence.frequency) {
+    case 'weekly': {
+      const dayOfWeek = recurrence.dayOfWeek ?? from.getUTCDay();
+      const offset = (dayOfWeek - from.getUTCDay() + 7) % 7;
+      return new Date(from.getTime() + offset * DAY_MS);
+    }
+
+    case 'monthly': {
+      const day = recurrence.dayOfMonth ?? from.getUTCDate();
+      const candidate = withDay(from, year, month, day);
+      return candidate >= from ? candidate : withDay(from, year, month + 1, day);
+    }
+
+    case 'yearly': {
+      const targetMonth = recurrence.month ?? month;
+      const day = recurrence.dayOfMonth ?? from.getUTCDate();
+      const candidate = withDay(from, year, targetMonth, day);
+      return candidate >= from ? candidate : withDay(from, year + 1, targetMonth, day);
+    }
+
+    default:
+      throw new Error('Invalid recurrence frequency');
+  }
+};
+
+/**
+ * Get the occurrence following a given occurrence
+ * @param {Object} recurrence - Recurrence rule (frequency, interval, dayOfWeek, dayOfMonth, month)
+ * @param {Date} occurrence - Previous occurrence
+ * @returns {Date} Next occurrence
+ */
+const getNextOccurrence = (recurrence, occurrence) => {
+  const previous = new Date(occurrence);
+  const interval = recurrence.interval || 1;
+
+  switch (recurrence.frequency) {
+    case 'weekly':
+      return new Date(previous.getTime() + 7 * interval * DAY_MS);
+
+    case 'monthly': {
+      const day = recurrence.dayOfMonth ?? previous.getUTCDate();
+      const target = new Date(Date.UTC(previous.getUTCFullYear(), previous.getUTCMonth() + interval, 1));
+      return withDay(previous, target.getUTCFullYear(), target.getUTCMonth(), day);
+    }
+
+    case 'yearly': {
+      const day = recurrence.dayOfMonth ?? previous.getUTCDate();
+      const month = recurrence.month ?? previous.getUTCMonth();
+      return withDay(previous, previous.getUTCFullYear() + interval, month, day);
+    }
+
+    default:
+      throw new Error('Invalid recurrence frequency');
+  }
+};
+
+/**
+ * Check whether an occurrence falls on one of the skipped days
+ * @param {Object} schedule - RecurringExpense document
+ * @param {Date} occurrence - Occurrence to check
+ * @returns {boolean} True if the occurrence should be skipped
+ */
+const isSkipped = (schedule, occurrence) => {
+  const day = new Date(occurrence).toISOString().slice(0, 10);
+  return (schedule.skippedDates || []).some(date => date.toISOString().slice(0, 10) === day);
+};
+
+/**
+ * Build the POST /api/expenses payload for a schedule
+ * @param {Object} schedule - RecurringExpense document
+ * @returns {Object} Expense details
+ */
+const toExpenseData = (schedule) => ({
+  title: schedule.title,
+  amount: schedule.amount,
+  splitType: schedule.splitType,
+  splits: schedule.splits,
+  category: schedule.category,
+  notes: schedule.notes,
+  currency: schedule.currency,
+  selectedMembers: schedule.selectedMembers.map(member => member.toString()),
+  payers: schedule.payers.map(payer => ({ user: payer.user.toString(), amount: payer.amount }))
+});
+
+/**
+ * Create the expenses for every occurrence of a schedule that is due
+ * @param {Object} schedule - RecurringExpense document
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of expenses created
+ */
+const materializeSchedule = async (schedule, now) => {
+  let created = 0;
+  let occurrence = schedule.nextOccurrence;
+
+  while (occurrence && occurrence <= now) {
+    const next = getNextOccurrence(schedule.recurrence, occurrence);
+    const ended = schedule.endDate && next > schedule.endDate;
+
+    // Claim the occurrence first so a second server instance cannot create it again
+    const claimed = await RecurringExpense.findOneAndUpdate(
+      { _id: schedule._id, status: 'active', nextOccurrence: occurrence },
+      {
+        $set: {
+          nextOccurrence: ended ? null : next,
+          lastOccurrence: occurrence,
+          ...(ended && { status: 'ended' })
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) break;
+
+    if (!isSkipped(schedule, occurrence)) {
+      const group = await Group.findById(schedule.groupId);
+      const creator = await User.findById(schedule.createdBy);
+
+      if (!group || !creator) {
+        await RecurringExpense.findByIdAndUpdate(schedule._id, { status: 'ended', nextOccurrence: null });
+        break;
+      }
+
+      try {
+        await createGroupExpense(group, creator, toExpenseData(schedule), {
+          createdAt: occurrence,
+          recurringExpenseId: schedule._id
+        });
+        created++;
+      } catch (error) {
+        if (error.statusCode !== 400) {
+          // Transient failure (e.g. no exchange rate): release the occurrence to retry next run
+          await RecurringExpense.findOneAndUpdate(
+            { _id: schedule._id, nextOccurrence: claimed.nextOccurrence },
+            { $set: { nextOccurrence: occurrence, status: 'active' } }
+          );
+          throw error;
+        }
+
+        // The template no longer fits the group (e.g. a member left): pause and tell the owner
+        await RecurringExpense.findByIdAndUpdate(schedule._id, { status: 'paused' });
+        await Notification.create({
+          userId: schedule.createdBy,
+          message: `Recurring expense "${schedule.title}" in group "${group.name}" was paused: ${error.message}`,
+          relatedResource: {
+            resourceType: 'group',
+            resourceId: group._id
+          }
+        });
+        break;
+      }
+    }
+
+    occurrence = claimed.nextOccurrence;
+  }
+
+  return created;
+};
+
+/**
+ * Create expenses for all active schedules that are due
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of expenses created
+ */
+const materializeDueRecurringExpenses = async (now = new Date()) => {
+  const dueSchedules = await RecurringExpense.find({
+    status: 'active',
+    nextOccurrence: { $lte: now }
+  });
+
+  let created = 0;
+  for (const schedule of dueSchedules) {
+    try {
+      created += await materializeSchedule(schedule, now);
+    } catch (error) {
+      console.error(`Failed to materialize recurring expense ${schedule._id}:`, error);
+    }
+  }
+
+  if (created > 0) {
+    console.log(`Created ${created} expense(s) from recurring schedules`);
+  }
+
+  return created;
+};
+
+module.exports = {
+  pinRecurrenceDay,
+  getFirstOccurrence,
+  getNextOccurrence,
+  materializeDueRecurringExpenses
+};
@@ -0,0 +1,230 @@
+const Group = require('../models/Group');
+const Expense = require('../models/Expense');
+const Settlement = require('../models/Settlement');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Reminder = require('../models/Reminder');
+const {
+  getSplitBalance,
+  calculateGroupBalances,
+  calculateCounterpartyBalances
+} = require('./expenseCalculator');
+const { getCountedExpenseFilter } = require('./expenseConfirmation');
+const { sendNotificationEmail } = require('./emailService');
+const { formatMinorUnits } = require('./money');
+const {
+  REMINDER_INTERVALS_DAYS,
+  REMINDER_MAX_AUTOMATIC
+} = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Work out when a debtor is next due an automatic reminder for an expense. The
+ * first one goes out once the expense is older than the group's reminder age, and
+ * each later one waits longer after the previous reminder, manual nudges included.
+ * @param {Object} expense - Expense document
+ * @param {Array} history - Reminders already sent to the debtor for the expense, newest first
+ * @param {number} afterDays - Group's reminderAfterDays
+ * @returns {Date|null} Due date, or null once the automatic reminders have run out
+ */
+const getNextReminderDate = (expense, history, afterDays) => {
+  const automatic = history.filter(reminder => reminder.type === 'automatic').length;
+  if (automatic >= REMINDER_MAX_AUTOMATIC) return null;
+
+  const firstDue = new Date(new Date(expense.createdAt).getTime() + afterDays * DAY_MS);
+  if (history.length === 0) return firstDue;
+
+  const interval = REMINDER_INTERVALS_DAYS[
+    Math.min(Math.max(automatic - 1, 0), REMINDER_INTERVALS_DAYS.length - 1)
+  ];
+  const nextDue = new Date(new Date(history[0].createdAt).getTime() + interval * DAY_MS);
+  return nextDue > firstDue ? nextDue : firstDue;
+};
+
+/**
+ * Load what members of a group, or the two users of a direct expense, still owe each
+ * other once every payment is netted in. Payments recorded through the group's
+ * settlements or settle-up plan aren't tied to any split, so an unpaid split alone
+ * doesn't mean its participant still owes anything.
+ * @param {Object} group - Group document, or the stand-in of a direct expense
+ * @param {string} currency - Currency of the direct expense; direct balances are kept per currency
+ * @returns {Promise<Function>} (debtorId, creditorId) => true if the debtor owes the
+ *   group overall and owes the creditor in particular
+ */
+const loadOutstandingDebts = async (group, currency) => {
+  const expenses = group._id
+    ? await Expense.find({ groupId: group._id, deletedAt: null, ...getCountedExpenseFilter(group) })
+    : await Expense.find({ groupId: null, members: { $all: group.members }, currency, deletedAt: null });
+  const settlements = group._id
+    ? await Settlement.find({ groupId: group._id })
+    : await Settlement.find({
+      groupId: null,
+      currency,
+      from: { $in: group.members },
+      to: { $in: group.members }
+    });
+
+  const { balances } = calculateGroupBalances(expenses, group.members, settlements, 'none');
+  const counterparties = {};
+
+  return (debtorId, creditorId) => {
+    if (!(balances[debtorId] < 0)) return false;
+
+    counterparties[debtorId] = counterparties[debtorId] ||
+      calculateCounterpartyBalances(expenses, debtorId, settlements);
+    const counterparty = counterparties[debtorId][creditorId];
+    return !!counterparty && counterparty.balance < 0;
+  };
+};
+
+/**
+ * Word a reminder, getting firmer with each automatic reminder
+ * @param {Object} expense - Expense document
+ * @param {number} amount - Amount still owed, in minor units of the expense currency
+ * @param {Object} options - { level } for automatic reminders, { sender } for manual ones
+ * @returns {Object} { subject, message }
+ */
+const describeReminder = (expense, amount, { level, sender }) => {
+  const owed = `${expense.currency} ${formatMinorUnits(amount, expense.currency)}`;
+
+  if (sender) {
+    return {
+      subject: `Payment reminder from ${sender.name}`,
+      message: `${sender.name} sent you a reminder: you owe them ${owed} for expense "${expense.title}"`
+    };
+  }
+  if (level <= 1) {
+    return {
+      subject: 'Payment reminder',
+      message: `Friendly reminder: you still owe ${owed} for expense "${expense.title}"`
+    };
+  }
+  if (level === 2) {
+    return {
+      subject: 'Payment reminder',
+      message: `Reminder: your share of expense "${expense.title}" is still unpaid (${owed} outstanding)`
+    };
+  }
+  return {
+    subject: 'Overdue payment',
+    message: `Overdue: you have owed ${owed} for expense "${expense.title}" since ` +
+      `${new Date(expense.createdAt).toISOString().slice(0, 10)}. Please settle up`
+  };
+};
+
+/**
+ * Remind a debtor to pay their share of an expense, in the app and by email,
+ * and record the reminder in the expense's history
+ * @param {Object} expense - Expense document
+ * @param {Object} debtor - User document with name and email
+ * @param {number} amount - Amount still owed, in minor units of the expense currency
+ * @param {Object} options - { level } for automatic reminders, { sender } for manual ones
+ * @returns {Promise<Object>} Reminder document
+ */
+const sendReminder = async (expense, debtor, amount, { level, sender } = {}) => {
+  const { subject, message } = describeReminder(expense, amount, { level, sender });
+
+  await Notification.create({
+    userId: debtor._id,
+    message,
+    relatedResource: {
+      resourceType: 'expense',
+      resourceId: expense._id
+    }
+  });
+  await sendNotificationEmail(debtor.email, subject, message);
+
+  return Reminder.create({
+    expenseId: expense._id,
+    groupId: expense.groupId || null,
+    debtor: debtor._id,
+    type: sender ? 'manual' : 'automatic',
+    sentBy: sender ? sender._id : undefined,
+    level: sender ? undefined : level,
+    amount,
+    currency: expense.currency
+  });
+};
+
+/**
+ * Send the automatic reminders that are due for unpaid shares of group expenses.
+ * Only expenses that count towards the group's balances are chased, only members who
+ * still owe the payer once all group payments are netted in are reminded, and groups
+ * with reminderAfterDays set to 0 are skipped.
+ * @param {Date} [now] - Current time, defaults to now
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendDueReminders = async (now = new Date()) => {
+  // Groups created before reminders existed have no setting and use the default
+  const groups = Group.find({ reminderAfterDays: { $ne: 0 } })
+    .select('members reminderAfterDays requireConfirmation excludeDisputedExpenses')
+    .cursor();
+
+  let sent = 0;
+  for await (const group of groups) {
+    const cutoff = new Date(now.getTime() - group.reminderAfterDays * DAY_MS);
+    const expenses = await Expense.find({
+      groupId: group._id,
+      deletedAt: null,
+      createdAt: { $lte: cutoff },
+      'splits.settled': false,
+      ...getCountedExpenseFilter(group)
+    });
+    if (expenses.length === 0) continue;
+
+    const history = {};
+    const reminders = await Reminder.find({ expenseId: { $in: expenses.map(expense => expense._id) } })
+      .sort({ createdAt: -1 });
+    reminders.forEach(reminder => {
+      const key = `${reminder.expenseId}:${reminder.debtor}`;
+      (history[key] = history[key] || []).push(reminder);
+    });
+
+    const due = [];
+    for (const expense of expenses) {
+      for (const split of expense.splits) {
+        if (split.settled) continue;
+        const { remaining, byPayer } = getSplitBalance(expense, split.user);
+        if (remaining === 0) continue;
+
+        const debtorHistory = history[`${expense._id}:${split.user}`] || [];
+        const nextDue = getNextReminderDate(expense, debtorHistory, group.reminderAfterDays);
+        if (!nextDue || nextDue > now) continue;
+
+        const level = debtorHistory.filter(reminder => reminder.type === 'automatic').length + 1;
+        due.push({ expense, debtorId: split.user.toString(), remaining, byPayer, level });
+      }
+    }
+    if (due.length === 0) continue;
+
+    // Skip members who have since settled up, e.g. through the settle-up plan
+    const owes = await loadOutstandingDebts(group);
+    const stillOwed = due.filter(({ debtorId, byPayer }) => Object.entries(byPayer)
+      .some(([payerId, amount]) => amount > 0 && owes(debtorId, payerId)));
+    if (stillOwed.length === 0) continue;
+
+    const debtors = await User.find({ _id: { $in: stillOwed.map(reminder => reminder.debtorId) } })
+      .select('name email');
+    const debtorsById = Object.fromEntries(debtors.map(debtor => [debtor._id.toString(), debtor]));
+
+    for (const { expense, debtorId, remaining, level } of stillOwed) {
+      // Deleted accounts can't be reminded
+      if (!debtorsById[debtorId]) continue;
+      try {
+        await sendReminder(expense, debtorsById[debtorId], remaining, { level });
+        sent++;
+      } catch (error) {
+        // Left for the next run
+        console.error(`Payment reminder for expense ${expense._id} failed:`, error);
+      }
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`Sent ${sent} payment reminder(s)`);
+  }
+  return sent;
+};
+
+module.exports = { getNextReminderDate, loadOutstandingDebts, sendReminder, sendDueReminders };
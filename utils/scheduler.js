@@ -0,0 +1,55 @@
+// Minimal in-process job scheduler. Jobs run on a fixed interval inside the
+// long-running server (server.js); serverless deployments do not start it.
+
+const jobs = [];
+const timers = [];
+
+/**
+ * Register a background job
+ * @param {string} name - Job name used in logs
+ * @param {number} intervalMs - How often the job runs, in milliseconds
+ * @param {Function} run - Async function doing the work
+ */
+const registerJob = (name, intervalMs, run) => {
+  jobs.push({ name, intervalMs, run, running: false });
+};
+
+/**
+ * Run a job once, skipping the run if the previous one has not finished yet
+ * @param {Object} job - Registered job
+ * @returns {Promise} Promise that resolves when the run is done
+ */
+const runJob = async (job) => {
+  if (job.running) return;
+
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start all registered jobs. Each job runs once right away and then on its interval.
+ */
+const startScheduler = () => {
+  for (const job of jobs) {
+    console.log(`Scheduling job "${job.name}" every ${Math.round(job.intervalMs / 1000)}s`);
+    runJob(job);
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref?.();
+    timers.push(timer);
+  }
+};
+
+/**
+ * Stop all running job timers
+ */
+const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
+
+module.exports = { registerJob, startScheduler, stopScheduler };
@@ -0,0 +1,172 @@
+const Settlement = require('../models/Settlement');
+const { getSplitBalance, getExpenseRate } = require('./expenseCalculator');
+const { getRateSnapshot, httpError } = require('./expenseService');
+const { isExpenseCounted } = require('./expenseConfirmation');
+const {
+  getCurrencyDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMinorUnits,
+  hasValidPrecision,
+  allocateMinorUnits
+} = require('./money');
+
+const SETTLEMENT_METHODS = Settlement.schema.path('method').enumValues;
+
+const isGroupMember = (group, userId) =>
+  group.members.some(member => member.toString() === userId.toString());
+
+/**
+ * Validate a payment from one group member to another and build the settlement
+ * to record, without saving it
+ * @param {Object} group - Group document
+ * @param {Object} data - from, to, amount (major units) and optional currency, date, method,
+ *   note and expenseId
+ * @param {string|Object} createdBy - User recording the payment
+ * @param {number} [exchangeRate] - Rate to the group's base currency, e.g. an expense's snapshot;
+ *   looked up for the payment date when not given
+ * @returns {Promise<Object>} Settlement fields, ready for Settlement.create or insertMany
+ */
+const buildSettlement = async (group, data, createdBy, exchangeRate) => {
+  const { from, to, amount, date, method = 'cash', note, expenseId } = data;
+  const currency = (data.currency || group.baseCurrency || 'USD').toUpperCase();
+
+  if (!from || !to || !amount) {
+    throw httpError(400, 'Please provide from, to and amount');
+  }
+
+  if (from.toString() === to.toString()) {
+    throw httpError(400, 'A member cannot pay themselves');
+  }
+
+  if (!isGroupMember(group, from) || !isGroupMember(group, to)) {
+    throw httpError(400, 'Both members must belong to the group');
+  }
+
+  const settlementAmount = toMinorUnits(amount, currency);
+  if (isNaN(settlementAmount) || settlementAmount < 1) {
+    throw httpError(400, 'Invalid settlement amount');
+  }
+
+  if (!hasValidPrecision(amount, currency)) {
+    throw httpError(400, `${currency} amounts can have at most ${getCurrencyDecimals(currency)} decimal places`);
+  }
+
+  const settlementDate = date ? new Date(date) : new Date();
+  if (isNaN(settlementDate.getTime())) {
+    throw httpError(400, 'Invalid settlement date');
+  }
+
+  if (!SETTLEMENT_METHODS.includes(method)) {
+    throw httpError(400, `Payment method must be one of: ${SETTLEMENT_METHODS.join(', ')}`);
+  }
+
+  const rate = exchangeRate !== undefined
+    ? exchangeRate
+    : await getRateSnapshot(currency, group, settlementDate);
+
+  return {
+    groupId: group._id,
+    from,
+    to,
+    amount: settlementAmount,
+    currency,
+    exchangeRate: rate,
+    baseCurrency: group.baseCurrency || 'USD',
+    date: settlementDate,
+    method,
+    note,
+    expenseId,
+    createdBy
+  };
+};
+
+/**
+ * Validate and record a payment from one group member to another
+ * @param {Object} group - Group document
+ * @param {Object} data - Payment details, see buildSettlement
+ * @param {string|Object} createdBy - User recording the payment
+ * @param {number} [exchangeRate] - Rate to the group's base currency
+ * @returns {Promise<Object>} The created settlement document
+ */
+const recordSettlement = async (group, data, createdBy, exchangeRate) =>
+  Settlement.create(await buildSettlement(group, data, createdBy, exchangeRate));
+
+/**
+ * Record a payment towards one participant's share of an expense - one settlement
+ * per payer they owe - and mark their split as settled once it is paid in full
+ * @param {Object} expense - Expense document
+ * @param {Object} group - Group document the expense belongs to
+ * @param {string} userId - Participant who is paying
+ * @param {string|Object} createdBy - User recording the payment
+ * @param {number} [amount] - Amount paid in minor units of the expense currency;
+ *   defaults to everything still owed
+ * @returns {Promise<Array>} The created settlement documents
+ */
+const settleExpenseSplit = async (expense, group, userId, createdBy, amount) => {
+  if (!isExpenseCounted(expense, group)) {
+    throw httpError(400, group.requireConfirmation
+      ? 'This expense cannot be settled until every participant has confirmed it'
+      : 'This expense cannot be settled while it is disputed');
+  }
+
+  const split = expense.splits.find(candidate => candidate.user.toString() === userId.toString());
+  const { owed, remaining, byPayer } = getSplitBalance(expense, userId);
+
+  // Nothing is owed to anyone else, e.g. a participant who paid for their own share
+  if (owed === 0) {
+    split.settled = true;
+    split.settledAt = new Date();
+    await expense.save();
+    return [];
+  }
+
+  if (remaining === 0) {
+    throw httpError(400, 'This share is already settled');
+  }
+
+  const paymentAmount = amount === undefined ? remaining : amount;
+  if (!Number.isInteger(paymentAmount) || paymentAmount < 1 || paymentAmount > remaining) {
+    throw httpError(400, `Amount must be more than 0 and at most the ${expense.currency} ` +
+      `${formatMinorUnits(remaining, expense.currency)} still owed`);
+  }
+
+  // Share the payment between the payers in proportion to what is still owed to each
+  const payerIds = Object.keys(byPayer);
+  const portions = allocateMinorUnits(paymentAmount, payerIds.map(payerId => byPayer[payerId]));
+
+  const settlements = [];
+  for (const [index, payerId] of payerIds.entries()) {
+    if (portions[index] === 0) continue;
+
+    const settlement = await recordSettlement(group, {
+      from: userId,
+      to: payerId,
+      amount: fromMinorUnits(portions[index], expense.currency),
+      currency: expense.currency,
+      method: 'other',
+      note: `Share of "${expense.title}"`,
+      expenseId: expense._id
+    }, createdBy, getExpenseRate(expense));
+
+    split.payments.push({
+      amount: portions[index],
+      to: payerId,
+      settlementId: settlement._id,
+      recordedBy: createdBy,
+      paidAt: settlement.date
+    });
+    settlements.push(settlement);
+  }
+
+  split.paidAmount = split.payments.reduce((sum, payment) => sum + payment.amount, 0);
+  if (paymentAmount === remaining) {
+    split.settled = true;
+    split.settledAt = new Date();
+  }
+  await expense.save();
+
+  return settlements;
+};
+
+module.exports = { SETTLEMENT_METHODS, buildSettlement, recordSettlement, settleExpenseSplit };
@@ -0,0 +1,263 @@
+const Group = require('../models/Group');
+const Expense = require('../models/Expense');
+const Settlement = require('../models/Settlement');
+const User = require('../models/User');
+const { calculateUserSummary } = require('./expenseCalculator');
+const { getCountedExpenseFilter } = require('./expenseConfirmation');
+const { toMonth } = require('./categories');
+const { sendStatementEmail } = require('./emailService');
+const { fromMinorUnits, getCurrencyDecimals } = require('./money');
+
+const toId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Amounts in statements are major units; show them with the currency's decimal places
+const formatAmount = (amount, currency) => `${currency} ${amount.toFixed(getCurrencyDecimals(currency))}`;
+
+/**
+ * Get the start of a UTC month and of the month after it
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Object} { from, to }
+ */
+const getMonthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    from: new Date(Date.UTC(year, monthNumber - 1, 1)),
+    to: new Date(Date.UTC(year, monthNumber, 1))
+  };
+};
+
+/**
+ * Get the month before a date
+ * @param {Date} [date] - Defaults to now
+ * @returns {string} Month as YYYY-MM
+ */
+const getPreviousMonth = (date = new Date()) =>
+  toMonth(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1)));
+
+/**
+ * Build a user's statement for a month. For each of their groups it lists the expenses
+ * added that month with the user's share, the payments they made or received, and
+ * their balance at the end of the month, worked out as for GET /api/groups/:id/balance.
+ * Groups with no activity that month and nothing owed are left out.
+ * @param {Object} user - User document
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Promise<Object>} Statement with amounts in major units of each group's base currency
+ */
+const buildMonthlyStatement = async (user, month) => {
+  const { from, to } = getMonthRange(month);
+  const userId = user._id.toString();
+  const groups = await Group.find({ members: user._id })
+    .select('name baseCurrency requireConfirmation excludeDisputedExpenses')
+    .sort({ name: 1 });
+
+  const statementGroups = [];
+  for (const group of groups) {
+    const currency = group.baseCurrency || 'USD';
+
+    // Everything up to the end of the month makes up the closing balance
+    const expenses = await Expense.find({
+      groupId: group._id,
+      deletedAt: null,
+      createdAt: { $lt: to },
+      ...getCountedExpenseFilter(group)
+    });
+    const settlements = await Settlement.find({ groupId: group._id, date: { $lt: to } });
+
+    const newExpenses = expenses
+      .filter(expense => expense.createdAt >= from)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    const newSettlements = settlements
+      .filter(settlement => settlement.date >= from &&
+        (toId(settlement.from) === userId || toId(settlement.to) === userId))
+      .sort((a, b) => a.date - b.date);
+
+    const { youNeedToPay, othersYetToPay } = calculateUserSummary(expenses, userId, settlements);
+    if (newExpenses.length === 0 && newSettlements.length === 0 && youNeedToPay === 0 && othersYetToPay === 0) {
+      continue;
+    }
+
+    const { yourShare, youPaid } = calculateUserSummary(newExpenses, userId);
+    const toMajor = (value) => fromMinorUnits(value, currency);
+
+    // Names of whoever the user paid or was paid by
+    const counterpartIds = newSettlements.map(settlement =>
+      (toId(settlement.from) === userId ? settlement.to : settlement.from));
+    const counterparts = await User.find({ _id: { $in: counterpartIds } }).select('name');
+    const names = Object.fromEntries(counterparts.map(counterpart => [counterpart._id.toString(), counterpart.name]));
+
+    statementGroups.push({
+      group: { _id: group._id, name: group.name },
+      currency,
+      expenses: newExpenses.map(expense => {
+        const split = expense.splits.find(candidate => toId(candidate.user) === userId);
+        return {
+          _id: expense._id,
+          date: expense.createdAt,
+          title: expense.title,
+          amount: fromMinorUnits(expense.amount, expense.currency),
+          currency: expense.currency,
+          yourShare: fromMinorUnits(split ? split.share : 0, expense.currency)
+        };
+      }),
+      settlements: newSettlements.map(settlement => {
+        const paid = toId(settlement.from) === userId;
+        const otherId = toId(paid ? settlement.to : settlement.from);
+        return {
+          _id: settlement._id,
+          date: settlement.date,
+          direction: paid ? 'paid' : 'received',
+          user: { _id: otherId, name: names[otherId] || 'a former member' },
+          amount: fromMinorUnits(settlement.amount, settlement.currency),
+          currency: settlement.currency
+        };
+      }),
+      yourShare: toMajor(yourShare),
+      youPaid: toMajor(youPaid),
+      youNeedToPay: toMajor(youNeedToPay),
+      othersYetToPay: toMajor(othersYetToPay),
+      balance: toMajor(othersYetToPay - youNeedToPay)
+    });
+  }
+
+  return {
+    month,
+    from,
+    to,
+    user: { _id: user._id, name: user.name, email: user.email },
+    groups: statementGroups
+  };
+};
+
+/**
+ * Render a statement as an email with an HTML body and a plain-text alternative
+ * @param {Object} statement - Statement from buildMonthlyStatement
+ * @returns {Object} { subject, text, html }
+ */
+const renderStatement = (statement) => {
+  const monthName = statement.from.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const subject = `Your Split-Biller statement for ${monthName}`;
+  const day = (date) => new Date(date).toISOString().slice(0, 10);
+  const describeBalance = (group) => {
+    if (group.balance > 0) return `You are owed ${formatAmount(group.balance, group.currency)}`;
+    if (group.balance < 0) return `You owe ${formatAmount(-group.balance, group.currency)}`;
+    return 'You are settled up';
+  };
+
+  const textSections = statement.groups.map(group => [
+    `${group.group.name}`,
+    `  Your share of new expenses: ${formatAmount(group.yourShare, group.currency)} ` +
+      `(you paid ${formatAmount(group.youPaid, group.currency)})`,
+    ...group.expenses.map(expense =>
+      `  ${day(expense.date)}  ${expense.title}: ${formatAmount(expense.amount, expense.currency)}, ` +
+      `your share ${formatAmount(expense.yourShare, expense.currency)}`),
+    ...group.settlements.map(settlement =>
+      `  ${day(settlement.date)}  ${settlement.direction === 'paid' ? 'You paid' : 'You received'} ` +
+      `${formatAmount(settlement.amount, settlement.currency)} ` +
+      `${settlement.direction === 'paid' ? 'to' : 'from'} ${settlement.user.name}`),
+    `  ${describeBalance(group)} at the end of the month`
+  ].join('\n'));
+
+  const text = [
+    `Hello ${statement.user.name},`,
+    '',
+    statement.groups.length > 0
+      ? `Here is your Split-Biller statement for ${monthName}.`
+      : `You had no activity on Split-Biller in ${monthName}.`,
+    '',
+    ...textSections.map(section => `${section}\n`),
+    'You can stop these emails by turning off statement emails in your profile.',
+    '',
+    'Best regards,',
+    'The Split-Biller Team'
+  ].join('\n');
+
+  const cell = 'padding: 6px 8px; border-bottom: 1px solid #eee;';
+  const htmlSections = statement.groups.map(group => `
+          <h3 style="color: #333; margin-bottom: 4px;">${escapeHtml(group.group.name)}</h3>
+          <p style="color: #555; margin-top: 0;">
+            Your share of new expenses: <strong>${formatAmount(group.yourShare, group.currency)}</strong>
+            (you paid ${formatAmount(group.youPaid, group.currency)})
+          </p>
+          ${group.expenses.length > 0 || group.settlements.length > 0 ? `
+          <table style="width: 100%; border-collapse: collapse; font-size: 14px; color: #555;">
+            ${group.expenses.map(expense => `
+            <tr>
+              <td style="${cell}">${day(expense.date)}</td>
+              <td style="${cell}">${escapeHtml(expense.title)}</td>
+              <td style="${cell} text-align: right;">${formatAmount(expense.amount, expense.currency)}</td>
+              <td style="${cell} text-align: right;">your share ${formatAmount(expense.yourShare, expense.currency)}</td>
+            </tr>`).join('')}
+            ${group.settlements.map(settlement => `
+            <tr>
+              <td style="${cell}">${day(settlement.date)}</td>
+              <td style="${cell}" colspan="2">${settlement.direction === 'paid' ? 'You paid' : 'You received from'} ${escapeHtml(settlement.user.name)}</td>
+              <td style="${cell} text-align: right;">${formatAmount(settlement.amount, settlement.currency)}</td>
+            </tr>`).join('')}
+          </table>` : ''}
+          <p style="color: #333;"><strong>${describeBalance(group)}</strong> at the end of the month.</p>`).join('');
+
+  const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background-color: #ff6b6b; padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Split-Biller</h1>
+          </div>
+
+          <div style="padding: 20px; border: 1px solid #eee; border-top: none;">
+            <h2 style="color: #333; margin-top: 0;">Your statement for ${monthName}</h2>
+            <p style="color: #555;">Hello ${escapeHtml(statement.user.name)},</p>
+            ${statement.groups.length > 0 ? htmlSections : `<p style="color: #555;">You had no activity on Split-Biller in ${monthName}.</p>`}
+
+            <hr style="border: 1px solid #eee; margin: 30px 0;">
+
+            <p style="color: #999; font-size: 12px;">
+              You can stop these emails by turning off statement emails in your profile.
+            </p>
+          </div>
+        </div>
+      `;
+
+  return { subject, text, html };
+};
+
+/**
+ * Email every user who hasn't opted out their statement for the previous month.
+ * Users are only sent each month's statement once, and not at all when they had
+ * no activity and owe or are owed nothing.
+ * @param {Date} [now] - Current time, defaults to now
+ * @returns {Promise<number>} Number of statements sent
+ */
+const sendMonthlyStatements = async (now = new Date()) => {
+  const month = getPreviousMonth(now);
+  const users = User.find({
+    statementEmails: { $ne: false },
+    lastStatementMonth: { $not: { $gte: month } }
+  }).select('name email').cursor();
+
+  let sent = 0;
+  for await (const user of users) {
+    try {
+      const statement = await buildMonthlyStatement(user, month);
+      if (statement.groups.length > 0) {
+        await sendStatementEmail(user.email, renderStatement(statement));
+        sent++;
+      }
+      await User.updateOne({ _id: user._id }, { lastStatementMonth: month });
+    } catch (error) {
+      // Left for the next run
+      console.error(`Monthly statement for user ${user._id} failed:`, error);
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`Sent ${sent} monthly statement(s) for ${month}`);
+  }
+  return sent;
+};
+
+module.exports = { buildMonthlyStatement, renderStatement, sendMonthlyStatements };